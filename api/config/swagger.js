@@ -1,4 +1,7 @@
+const fs = require('fs');
+const path = require('path');
 const swaggerJsdoc = require('swagger-jsdoc');
+const envService = require('../services/env.service');
 
 const options = {
   definition: {
@@ -29,6 +32,44 @@ const options = {
       {
         name: 'Services',
         description: 'Available services information'
+      },
+      {
+        name: 'Jobs',
+        description: 'Asynchronous operation progress'
+      },
+      {
+        name: 'Backups',
+        description: 'Automatic backup schedules'
+      },
+      {
+        name: 'Admin',
+        description: 'Platform administration'
+      },
+      {
+        name: 'Tenants',
+        description: 'Tenants and API key management'
+      },
+      {
+        name: 'Webhooks',
+        description: 'Outgoing lifecycle event notifications'
+      },
+      {
+        name: 'Audit',
+        description: 'Audit trail of container operations'
+      }
+    ],
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key'
+        }
+      }
+    },
+    security: [
+      {
+        ApiKeyAuth: []
       }
     ]
   },
@@ -37,4 +78,71 @@ const options = {
 
 const specs = swaggerJsdoc(options);
 
-module.exports = specs;
+/**
+ * OpenAPI schema of the envVars accepted by each service template
+ */
+function serviceSchemas() {
+  const servicesDir = path.join(process.cwd(), 'services');
+  const schemas = {};
+  
+  for (const entry of fs.readdirSync(servicesDir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name.startsWith('.')) {
+      continue;
+    }
+    
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(path.join(servicesDir, entry.name, 'config.json'), 'utf-8'));
+    } catch (error) {
+      continue;
+    }
+    
+    const parameters = envService.getParameters(config);
+    const properties = {};
+    
+    for (const [key, parameter] of Object.entries(parameters)) {
+      properties[key] = {
+        type: parameter.type,
+        description: parameter.description || undefined,
+        default: parameter.default,
+        enum: parameter.enum,
+        pattern: parameter.pattern,
+        format: parameter.secret ? 'password' : undefined,
+        writeOnly: parameter.secret || undefined
+      };
+    }
+    
+    schemas[`${entry.name}EnvVars`] = {
+      type: 'object',
+      description: `Environment variables of the ${entry.name} service`,
+      properties,
+      required: Object.keys(parameters).filter(key => parameters[key].required && parameters[key].default === undefined),
+      additionalProperties: envService.allowsAdditional(config) ? { type: 'string' } : false
+    };
+  }
+  
+  return schemas;
+}
+
+/**
+ * Spec including the parameter schema of every service, rebuilt on each
+ * call so that services uploaded at runtime are documented
+ */
+function buildSpecs() {
+  const spec = JSON.parse(JSON.stringify(specs));
+  const schemas = serviceSchemas();
+  
+  spec.components.schemas = { ...spec.components.schemas, ...schemas };
+  
+  const envVars = spec.paths['/api/containers']?.post?.requestBody?.content?.['application/json']
+    ?.schema?.properties?.resources?.properties?.envVars;
+  
+  if (envVars && Object.keys(schemas).length > 0) {
+    delete envVars.additionalProperties;
+    envVars.oneOf = Object.keys(schemas).map(name => ({ $ref: `#/components/schemas/${name}` }));
+  }
+  
+  return spec;
+}
+
+module.exports = buildSpecs;
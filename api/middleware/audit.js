@@ -0,0 +1,47 @@
+const auditService = require('../services/audit.service');
+
+/**
+ * Write an audit event for the request once the response is sent:
+ * caller, route parameters, query and body (secrets redacted), outcome
+ * and duration. Requests that start a job are recorded as accepted with
+ * the job id, the job itself holds the final result.
+ */
+function audit(action) {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    const json = res.json.bind(res);
+    let body = null;
+    
+    res.json = (data) => {
+      body = data;
+      return json(data);
+    };
+    
+    res.once('close', () => {
+      let outcome = 'success';
+      if (!res.writableFinished || res.statusCode >= 400) {
+        outcome = 'failure';
+      } else if (res.statusCode === 202) {
+        outcome = 'accepted';
+      }
+      
+      auditService.record({
+        actor: req.tenant,
+        ip: req.ip,
+        action,
+        containerId: parseInt(req.params.id) || null,
+        containerIdentifier: body?.containerIdentifier,
+        parameters: { params: req.params, query: auditService.redact(req.query), body: auditService.redact(req.body) },
+        outcome,
+        statusCode: res.statusCode,
+        error: body?.error || (res.writableFinished ? null : 'Client disconnected before the response was sent'),
+        jobId: body?.jobId,
+        durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n)
+      }).catch(error => console.error('⚠️  Could not write audit event:', error.message));
+    });
+    
+    next();
+  };
+}
+
+module.exports = { audit };
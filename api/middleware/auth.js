@@ -0,0 +1,55 @@
+const tenantService = require('../services/tenant.service');
+
+/**
+ * Extract API key from X-API-Key header or Bearer token
+ */
+function getApiKey(req) {
+  const headerKey = req.get('X-API-Key');
+  if (headerKey) {
+    return headerKey.trim();
+  }
+  
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  
+  return null;
+}
+
+/**
+ * Resolve the calling tenant and attach it as req.tenant
+ */
+async function authenticate(req, res, next) {
+  try {
+    const apiKey = getApiKey(req);
+    
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Missing API key' });
+    }
+    
+    const tenant = await tenantService.resolveApiKey(apiKey);
+    
+    if (!tenant) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    
+    req.tenant = tenant;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Only allow admin tenants through
+ */
+function requireAdmin(req, res, next) {
+  if (!tenantService.isAdmin(req.tenant)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  
+  next();
+}
+
+module.exports = { authenticate, requireAdmin };
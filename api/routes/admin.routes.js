@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const reconciler = require('../services/reconciler.service');
+
+/**
+ * @swagger
+ * /api/admin/reconcile:
+ *   post:
+ *     summary: Reconcile MySQL, Docker, users/ folders and proxy sites (admin only)
+ *     description: Reports every mismatch between the sources of truth. With dryRun=false, fixable mismatches are fixed.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Only report mismatches without fixing them
+ *     responses:
+ *       200:
+ *         description: Reconciliation report
+ *       409:
+ *         description: Reconciliation already running
+ */
+router.post('/reconcile', async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun !== 'false';
+    const report = await reconciler.run({ dryRun });
+    res.json(report);
+  } catch (error) {
+    const status = reconciler.running ? 409 : 500;
+    res.status(error.status || status).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/reconcile:
+ *   get:
+ *     summary: Get the last reconciliation report (admin only)
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Last reconciliation report
+ *       404:
+ *         description: No reconciliation has run yet
+ */
+router.get('/reconcile', (req, res) => {
+  if (!reconciler.lastReport) {
+    return res.status(404).json({ error: 'No reconciliation has run yet' });
+  }
+  
+  res.json(reconciler.lastReport);
+});
+
+module.exports = router;
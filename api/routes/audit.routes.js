@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const auditService = require('../services/audit.service');
+const containerService = require('../services/container.service');
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Audit trail of container operations
+ *     description: |
+ *       One event per mutating call on /api/containers with the caller, parameters (secret values redacted),
+ *       outcome, HTTP status, error and duration. Operations running as a job are recorded as `accepted`,
+ *       jobStatus holds the current state of the job. Tenants see events they caused and events on their
+ *       containers, admins see all.
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: containerId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: container.delete
+ *       - in: query
+ *         name: actorId
+ *         description: Tenant id of the caller
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, accepted, failure]
+ *       - in: query
+ *         name: from
+ *         description: Unix seconds or ISO date, inclusive
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         description: Unix seconds or ISO date, exclusive
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 5000
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - in: query
+ *         name: format
+ *         description: csv returns the events as a CSV download (also selected by Accept text/csv)
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Audit events, newest first
+ *         content:
+ *           application/json: {}
+ *           text/csv: {}
+ *       400:
+ *         description: Invalid time range or limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filters = {
+      containerId: req.query.containerId,
+      action: req.query.action,
+      actorId: req.query.actorId,
+      outcome: req.query.outcome,
+      from: containerService.parseTime(req.query, 'from'),
+      to: containerService.parseTime(req.query, 'to'),
+      limit: req.query.limit,
+      offset: req.query.offset
+    };
+    
+    const events = await auditService.listEvents(filters, req.tenant);
+    
+    const format = req.query.format || (req.accepts(['json', 'csv']) === 'csv' ? 'csv' : 'json');
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.csv`);
+      return res.send(auditService.toCsv(events));
+    }
+    
+    res.json(events);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
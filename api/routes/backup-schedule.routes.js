@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const containerService = require('../services/container.service');
+
+/**
+ * @swagger
+ * /api/backup-schedules:
+ *   get:
+ *     summary: List backup schedules and last run of all containers
+ *     description: Use lastStatus=failed to find instances that missed their scheduled backup.
+ *     tags: [Backups]
+ *     parameters:
+ *       - in: query
+ *         name: service
+ *         schema:
+ *           type: string
+ *         description: Filter by service type
+ *       - in: query
+ *         name: lastStatus
+ *         schema:
+ *           type: string
+ *           enum: [success, failed]
+ *         description: Filter by status of the last scheduled run
+ *     responses:
+ *       200:
+ *         description: List of backup schedules
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filters = {
+      service: req.query.service,
+      lastStatus: req.query.lastStatus
+    };
+    
+    const schedules = await containerService.listBackupSchedules(filters, req.tenant);
+    res.json(schedules);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
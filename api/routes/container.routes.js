@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const containerService = require('../services/container.service');
+const tenantService = require('../services/tenant.service');
+const backupScheduler = require('../services/scheduler.service');
+const { audit } = require('../middleware/audit');
 
 /**
  * @swagger
@@ -8,6 +11,13 @@ const containerService = require('../services/container.service');
  *   post:
  *     summary: Create a new container
  *     tags: [Containers]
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate and return the planned actions, rendered .env and compose file without creating anything
  *     requestBody:
  *       required: true
  *       content:
@@ -26,6 +36,10 @@ const containerService = require('../services/container.service');
  *                 type: string
  *                 description: Service type (n8n, gowa, etc)
  *                 example: n8n
+ *               version:
+ *                 type: string
+ *                 description: Image tag to run, defaults to the version in the service config.json
+ *                 example: latest
  *               resources:
  *                 type: object
  *                 properties:
@@ -35,31 +49,49 @@ const containerService = require('../services/container.service');
  *                   memory:
  *                     type: string
  *                     example: 1024M
+ *                   envVars:
+ *                     type: object
+ *                     additionalProperties:
+ *                       type: string
+ *                     description: Custom environment variables, see the `<service>EnvVars` schema of the chosen service
+ *               ownerId:
+ *                 type: integer
+ *                 description: Tenant owning the container (admin only, defaults to the caller)
  *     responses:
- *       201:
- *         description: Container created successfully
+ *       200:
+ *         description: Dry run plan (dryRun=true), secret values are masked
+ *       202:
+ *         description: Provisioning job accepted, poll statusUrl for progress
  *       400:
- *         description: Bad request
+ *         description: Bad request, e.g. invalid instance name or unknown owner
+ *       404:
+ *         description: Service not found
+ *       409:
+ *         description: Container already exists
  *       500:
  *         description: Server error
  */
-router.post('/', async (req, res) => {
+router.post('/', audit('container.create'), async (req, res) => {
   try {
-    const { instanceName, service, resources } = req.body;
+    const { instanceName, service, resources, version, ownerId } = req.body;
     
     if (!instanceName || !service) {
       return res.status(400).json({ error: 'Missing required fields: instanceName and service' });
     }
     
+    const dryRun = req.query.dryRun === 'true';
     const result = await containerService.createContainer({
       instanceName,
       serviceName: service,
-      resources
+      resources,
+      version,
+      ownerId: tenantService.isAdmin(req.tenant) && ownerId ? ownerId : req.tenant.id,
+      dryRun
     });
     
-    res.status(201).json(result);
+    res.status(dryRun ? 200 : 202).json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -86,6 +118,11 @@ router.post('/', async (req, res) => {
  *           type: string
  *           enum: [running, stopped]
  *         description: Filter by status
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: integer
+ *         description: Filter by owning tenant (admin only)
  *     responses:
  *       200:
  *         description: List of containers
@@ -95,13 +132,14 @@ router.get('/', async (req, res) => {
     const filters = {
       instanceName: req.query.instanceName,
       service: req.query.service,
-      status: req.query.status
+      status: req.query.status,
+      ownerId: req.query.ownerId
     };
     
-    const containers = await containerService.listContainers(filters);
+    const containers = await containerService.listContainers(filters, req.tenant);
     res.json(containers);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -119,16 +157,16 @@ router.get('/', async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Container status
+ *         description: Container status, with the Docker state, the last exit (exit code, OOM kill, restart count) in runtime and the result of the service health check in appHealth
  *       404:
  *         description: Container not found
  */
 router.get('/:id', async (req, res) => {
   try {
-    const status = await containerService.getContainerStatus(req.params.id);
+    const status = await containerService.getContainerStatus(req.params.id, req.tenant);
     res.json(status);
   } catch (error) {
-    res.status(404).json({ error: error.message });
+    res.status(error.status || 404).json({ error: error.message });
   }
 });
 
@@ -148,12 +186,12 @@ router.get('/:id', async (req, res) => {
  *       200:
  *         description: Container stopped
  */
-router.post('/:id/stop', async (req, res) => {
+router.post('/:id/stop', audit('container.stop'), async (req, res) => {
   try {
-    const result = await containerService.stopContainer(req.params.id);
+    const result = await containerService.stopContainer(req.params.id, req.tenant);
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -173,12 +211,12 @@ router.post('/:id/stop', async (req, res) => {
  *       200:
  *         description: Container started
  */
-router.post('/:id/start', async (req, res) => {
+router.post('/:id/start', audit('container.start'), async (req, res) => {
   try {
-    const result = await containerService.startContainer(req.params.id);
+    const result = await containerService.startContainer(req.params.id, req.tenant);
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -199,20 +237,68 @@ router.post('/:id/start', async (req, res) => {
  *       200:
  *         description: Container restarted
  */
-router.post('/:id/restart', async (req, res) => {
+router.post('/:id/restart', audit('container.restart'), async (req, res) => {
   try {
-    const result = await containerService.restartContainer(req.params.id);
+    const result = await containerService.restartContainer(req.params.id, req.tenant);
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 /**
  * @swagger
- * /api/containers/{id}/redeploy:
- *   post:
- *     summary: Redeploy a container
+ * /api/containers/{id}/resources:
+ *   patch:
+ *     summary: Change CPU and memory limits of a container
+ *     description: Updates the instance .env and applies the limits live with docker update, or redeploys if that fails.
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cpu:
+ *                 type: string
+ *                 example: "1.5"
+ *               memory:
+ *                 type: string
+ *                 example: 2048M
+ *     responses:
+ *       202:
+ *         description: Resize job accepted
+ *       400:
+ *         description: Invalid resource values
+ */
+router.patch('/:id/resources', audit('container.resize'), async (req, res) => {
+  try {
+    const { cpu, memory } = req.body;
+    
+    if (!cpu && !memory) {
+      return res.status(400).json({ error: 'Missing required field: cpu or memory' });
+    }
+    
+    const result = await containerService.updateResources(req.params.id, { cpu, memory }, req.tenant);
+    res.status(202).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/env:
+ *   get:
+ *     summary: Get environment variables of a container
+ *     description: Returns the effective .env values and the custom variables set through the API. Secret values are masked.
  *     tags: [Containers]
  *     parameters:
  *       - in: path
@@ -222,22 +308,23 @@ router.post('/:id/restart', async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Container redeployed
+ *         description: Environment variables
  */
-router.post('/:id/redeploy', async (req, res) => {
+router.get('/:id/env', async (req, res) => {
   try {
-    const result = await containerService.redeployContainer(req.params.id);
+    const result = await containerService.getEnvVars(req.params.id, req.tenant);
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 /**
  * @swagger
- * /api/containers/{id}/backup:
- *   post:
- *     summary: Backup container data
+ * /api/containers/{id}/env:
+ *   put:
+ *     summary: Set environment variables of a container
+ *     description: Merges the given variables into the stored custom variables and re-renders .env. Changes apply after a redeploy.
  *     tags: [Containers]
  *     parameters:
  *       - in: path
@@ -245,24 +332,51 @@ router.post('/:id/redeploy', async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - variables
+ *             properties:
+ *               variables:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example:
+ *                   N8N_SMTP_HOST: smtp.example.com
+ *               redeploy:
+ *                 type: boolean
+ *                 default: false
  *     responses:
  *       200:
- *         description: Backup created
+ *         description: Variables updated (includes the redeploy job if requested)
+ *       400:
+ *         description: Invalid variables
  */
-router.post('/:id/backup', async (req, res) => {
+router.put('/:id/env', audit('container.env_set'), async (req, res) => {
   try {
-    const result = await containerService.backupContainer(req.params.id);
+    const { variables, redeploy } = req.body;
+    
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+      return res.status(400).json({ error: 'Missing required field: variables (object)' });
+    }
+    
+    const result = await containerService.setEnvVars(req.params.id, variables, { redeploy }, req.tenant);
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 /**
  * @swagger
- * /api/containers/{id}/logs:
- *   get:
- *     summary: Get container logs
+ * /api/containers/{id}/env/{key}:
+ *   delete:
+ *     summary: Unset a custom environment variable
+ *     description: The variable falls back to the service template or default value.
  *     tags: [Containers]
  *     parameters:
  *       - in: path
@@ -270,30 +384,118 @@ router.post('/:id/backup', async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
  *       - in: query
- *         name: lines
+ *         name: redeploy
  *         schema:
- *           type: integer
- *           default: 100
+ *           type: boolean
+ *           default: false
  *     responses:
  *       200:
- *         description: Container logs
+ *         description: Variable removed
+ *       400:
+ *         description: Variable is required
+ *       404:
+ *         description: Variable is not set
  */
-router.get('/:id/logs', async (req, res) => {
+router.delete('/:id/env/:key', audit('container.env_unset'), async (req, res) => {
   try {
-    const lines = parseInt(req.query.lines) || 100;
-    const result = await containerService.getContainerLogs(req.params.id, lines);
+    const redeploy = req.query.redeploy === 'true';
+    const result = await containerService.unsetEnvVar(req.params.id, req.params.key, { redeploy }, req.tenant);
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 /**
  * @swagger
- * /api/containers/{id}:
+ * /api/containers/{id}/domains:
+ *   get:
+ *     summary: List custom domains of a container
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of custom domains
+ */
+router.get('/:id/domains', async (req, res) => {
+  try {
+    const domains = await containerService.listDomains(req.params.id, req.tenant);
+    res.json(domains);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/domains:
+ *   post:
+ *     summary: Attach a custom domain to a container
+ *     description: The domain must already resolve to SERVER_IP. It is added as a separate proxy site or as an alias of the instance site, and an SSL certificate is requested.
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - domain
+ *             properties:
+ *               domain:
+ *                 type: string
+ *                 example: automation.shop.com
+ *               mode:
+ *                 type: string
+ *                 enum: [site, alias]
+ *                 default: site
+ *     responses:
+ *       201:
+ *         description: Domain attached
+ *       400:
+ *         description: Invalid domain
+ *       409:
+ *         description: Domain already attached
+ *       422:
+ *         description: Domain does not resolve to the server
+ */
+router.post('/:id/domains', audit('container.domain_add'), async (req, res) => {
+  try {
+    const { domain, mode } = req.body;
+    
+    if (!domain) {
+      return res.status(400).json({ error: 'Missing required field: domain' });
+    }
+    
+    const result = await containerService.addDomain(req.params.id, domain, mode, req.tenant);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/domains/{domainId}:
  *   delete:
- *     summary: Delete a container
+ *     summary: Remove a custom domain from a container
  *     tags: [Containers]
  *     parameters:
  *       - in: path
@@ -301,16 +503,957 @@ router.get('/:id/logs', async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: path
+ *         name: domainId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Domain removed
+ *       404:
+ *         description: Domain not found
+ */
+router.delete('/:id/domains/:domainId', audit('container.domain_remove'), async (req, res) => {
+  try {
+    const result = await containerService.removeDomain(req.params.id, req.params.domainId, req.tenant);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/ssl:
+ *   post:
+ *     summary: Request the SSL certificate of the instance domain again
+ *     description: Retries a missing, failed, expiring or expired certificate. The certificate status, expiry and warnings are also part of GET /api/containers/{id}.
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Request a new certificate even if the current one is valid or still pending
  *     responses:
  *       200:
- *         description: Container deleted
+ *         description: Certificate requested (status pending or issued)
+ *       409:
+ *         description: Certificate is valid or still pending
+ *       502:
+ *         description: The proxy provider could not issue the certificate
  */
-router.delete('/:id', async (req, res) => {
+router.post('/:id/ssl', audit('container.ssl_retry'), async (req, res) => {
   try {
-    const result = await containerService.deleteContainer(req.params.id);
+    const result = await containerService.retryCertificate(req.params.id, req.tenant, {
+      force: req.query.force === 'true'
+    });
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/rename:
+ *   post:
+ *     summary: Rename a container or change its subdomain
+ *     description: Moves the instance directory, recreates the compose project under the new name, creates the new proxy site and certificate and removes the old one. Rolls back if a step fails.
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               instanceName:
+ *                 type: string
+ *                 description: New instance name (container becomes <instanceName>-<service>)
+ *                 example: toko405
+ *               subdomain:
+ *                 type: string
+ *                 description: New subdomain (defaults to the new container name when renaming)
+ *                 example: shop-automation
+ *     responses:
+ *       202:
+ *         description: Rename job accepted
+ *       400:
+ *         description: Invalid name or subdomain
+ *       409:
+ *         description: Name or subdomain already in use
+ */
+router.post('/:id/rename', audit('container.rename'), async (req, res) => {
+  try {
+    const { instanceName, subdomain } = req.body;
+    
+    if (!instanceName && !subdomain) {
+      return res.status(400).json({ error: 'Missing required field: instanceName or subdomain' });
+    }
+    
+    const result = await containerService.renameContainer(req.params.id, { instanceName, subdomain }, req.tenant);
+    res.status(202).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/clone:
+ *   post:
+ *     summary: Clone a container into a new instance
+ *     description: |
+ *       Provisions a new instance of the same service and image version with its own port and proxy site.
+ *       The source data directory is copied first, pausing the source while copying if it is running.
+ *       Custom variables and generated values (e.g. encryption keys) are taken over, references to the
+ *       source domain in custom variables point to the new domain.
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate and return the planned actions without cloning anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - instanceName
+ *             properties:
+ *               instanceName:
+ *                 type: string
+ *                 example: toko404-staging
+ *               resources:
+ *                 type: object
+ *                 description: Defaults to the limits of the source
+ *                 properties:
+ *                   cpu:
+ *                     type: string
+ *                   memory:
+ *                     type: string
+ *               ownerId:
+ *                 type: integer
+ *                 description: Tenant owning the clone (admin only, defaults to the owner of the source)
+ *     responses:
+ *       200:
+ *         description: Dry run plan (dryRun=true)
+ *       202:
+ *         description: Clone job accepted, poll statusUrl for progress
+ *       400:
+ *         description: Invalid instance name or unknown owner
+ *       403:
+ *         description: Quota exceeded
+ *       404:
+ *         description: Container not found
+ *       409:
+ *         description: Container already exists
+ */
+router.post('/:id/clone', audit('container.clone'), async (req, res) => {
+  try {
+    const { instanceName, resources, ownerId } = req.body;
+    
+    if (!instanceName) {
+      return res.status(400).json({ error: 'Missing required field: instanceName' });
+    }
+    
+    const dryRun = req.query.dryRun === 'true';
+    const result = await containerService.cloneContainer(req.params.id, {
+      instanceName,
+      resources,
+      ownerId: tenantService.isAdmin(req.tenant) ? ownerId : req.tenant.id,
+      dryRun
+    }, req.tenant);
+    
+    res.status(dryRun ? 200 : 202).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/redeploy:
+ *   post:
+ *     summary: Redeploy a container
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Redeploy job accepted
+ */
+router.post('/:id/redeploy', audit('container.redeploy'), async (req, res) => {
+  try {
+    const result = await containerService.redeployContainer(req.params.id, req.tenant);
+    res.status(202).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/upgrade:
+ *   post:
+ *     summary: Upgrade a container to another image version
+ *     description: |
+ *       Applies the current service compose template with the new image tag, pulls the image, stops the container,
+ *       takes a backup and starts the new version. If the container does not become healthy, the previous tag,
+ *       compose file and data are restored and the job fails.
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version
+ *             properties:
+ *               version:
+ *                 type: string
+ *                 description: Image tag to run
+ *                 example: 1.64.0
+ *     responses:
+ *       202:
+ *         description: Upgrade job accepted
+ *       400:
+ *         description: Invalid version
+ *       403:
+ *         description: Backup quota exceeded
+ *       409:
+ *         description: The service template does not use ${IMAGE_TAG}
+ */
+router.post('/:id/upgrade', audit('container.upgrade'), async (req, res) => {
+  try {
+    if (!req.body.version) {
+      return res.status(400).json({ error: 'Missing required field: version' });
+    }
+    
+    const result = await containerService.upgradeContainer(req.params.id, { version: req.body.version }, req.tenant);
+    res.status(202).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/backup:
+ *   post:
+ *     summary: Backup container data
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Backup job accepted
+ */
+router.post('/:id/backup', audit('container.backup'), async (req, res) => {
+  try {
+    const result = await containerService.backupContainer(req.params.id, req.tenant);
+    res.status(202).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/backups:
+ *   get:
+ *     summary: List backups of a container
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of backups, newest first
+ */
+router.get('/:id/backups', async (req, res) => {
+  try {
+    const backups = await containerService.listBackups(req.params.id, req.tenant);
+    res.json(backups);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/backups/{backupId}/download:
+ *   get:
+ *     summary: Download a backup archive
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: backupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Backup archive (tar.gz)
+ *         content:
+ *           application/gzip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Backup not found
+ */
+router.get('/:id/backups/:backupId/download', async (req, res) => {
+  try {
+    const backup = await containerService.getBackup(req.params.id, req.params.backupId, req.tenant);
+    
+    res.download(backup.file_path, backup.file_name, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Backup file missing on disk' });
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/backups/{backupId}:
+ *   delete:
+ *     summary: Delete a backup
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: backupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Backup deleted
+ *       404:
+ *         description: Backup not found
+ */
+router.delete('/:id/backups/:backupId', audit('container.backup_delete'), async (req, res) => {
+  try {
+    const result = await containerService.deleteBackup(req.params.id, req.params.backupId, req.tenant);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/retention:
+ *   get:
+ *     summary: Get backup retention policy of a container
+ *     description: Returns the container policy, or the service policy if the container has none.
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Retention policy
+ */
+router.get('/:id/retention', async (req, res) => {
+  try {
+    const result = await containerService.getRetentionPolicy(req.params.id, req.tenant);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/retention:
+ *   put:
+ *     summary: Set backup retention policy of a container
+ *     description: Keeps the last N backups and/or the newest backup per day for D days. Old backups are pruned immediately and after every backup.
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keepLast:
+ *                 type: integer
+ *                 example: 5
+ *               keepDailyDays:
+ *                 type: integer
+ *                 example: 7
+ *     responses:
+ *       200:
+ *         description: Retention policy updated
+ *       400:
+ *         description: Invalid policy, or neither keepLast nor keepDailyDays given
+ */
+router.put('/:id/retention', audit('container.retention_set'), async (req, res) => {
+  try {
+    const { keepLast, keepDailyDays } = req.body;
+    const result = await containerService.setRetentionPolicy(req.params.id, { keepLast, keepDailyDays }, req.tenant);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/backup-schedule:
+ *   get:
+ *     summary: Get automatic backup schedule of a container
+ *     description: Returns the container schedule, or the service default from config.json, with the most recent runs.
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Backup schedule
+ */
+router.get('/:id/backup-schedule', async (req, res) => {
+  try {
+    const result = await containerService.getBackupSchedule(req.params.id, req.tenant);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/backup-schedule:
+ *   put:
+ *     summary: Set automatic backup schedule of a container
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cronExpression
+ *             properties:
+ *               cronExpression:
+ *                 type: string
+ *                 example: "0 2 * * *"
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Backup schedule updated
+ *       400:
+ *         description: Invalid cron expression
+ */
+router.put('/:id/backup-schedule', audit('container.backup_schedule_set'), async (req, res) => {
+  try {
+    const { cronExpression, enabled } = req.body;
+    const result = await containerService.setBackupSchedule(req.params.id, { cronExpression, enabled }, req.tenant);
+    await backupScheduler.sync();
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/backup-schedule:
+ *   delete:
+ *     summary: Reset backup schedule of a container to the service default
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Effective backup schedule after reset
+ */
+router.delete('/:id/backup-schedule', audit('container.backup_schedule_reset'), async (req, res) => {
+  try {
+    const result = await containerService.resetBackupSchedule(req.params.id, req.tenant);
+    await backupScheduler.sync();
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/backup-runs:
+ *   get:
+ *     summary: List scheduled backup runs of a container
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Backup runs with status and error message, newest first
+ */
+router.get('/:id/backup-runs', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const runs = await containerService.listBackupRuns(req.params.id, limit, req.tenant);
+    res.json(runs);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/restore:
+ *   post:
+ *     summary: Restore container data from a backup
+ *     description: Stops the container, snapshots the current data, extracts the backup and restarts. Rolls back to the snapshot if the container fails to come up.
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               backupId:
+ *                 type: integer
+ *                 description: Backup id from the backup catalog
+ *               backupFile:
+ *                 type: string
+ *                 description: Backup file name in backups/ (alternative to backupId)
+ *                 example: toko404-n8n_2025-01-01T00-00-00-000Z.tar.gz
+ *     responses:
+ *       200:
+ *         description: Container restored
+ *       400:
+ *         description: Backup does not belong to the container
+ *       404:
+ *         description: Container or backup not found
+ */
+router.post('/:id/restore', audit('container.restore'), async (req, res) => {
+  try {
+    const { backupId, backupFile } = req.body;
+    
+    if (!backupId && !backupFile) {
+      return res.status(400).json({ error: 'Missing required field: backupId or backupFile' });
+    }
+    
+    const result = await containerService.restoreContainer(req.params.id, { backupId, backupFile }, req.tenant);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/stats:
+ *   get:
+ *     summary: Get current CPU, memory, network and block I/O usage
+ *     description: Network and block I/O are cumulative since the container started.
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Resource usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cpuPercent:
+ *                   type: number
+ *                   description: 100 equals one full CPU core
+ *                 cpuPercentOfLimit:
+ *                   type: number
+ *                 memoryBytes:
+ *                   type: integer
+ *                 memoryLimitBytes:
+ *                   type: integer
+ *                 memoryPercentOfLimit:
+ *                   type: number
+ *                 netRxBytes:
+ *                   type: integer
+ *                 netTxBytes:
+ *                   type: integer
+ *                 blockReadBytes:
+ *                   type: integer
+ *                 blockWriteBytes:
+ *                   type: integer
+ *                 pids:
+ *                   type: integer
+ *       404:
+ *         description: Container not found
+ *       409:
+ *         description: Container is not running
+ */
+router.get('/:id/stats', async (req, res) => {
+  try {
+    const result = await containerService.getContainerStats(req.params.id, req.tenant);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/stats/history:
+ *   get:
+ *     summary: Get resource usage history
+ *     description: |
+ *       Samples are grouped into buckets of `resolution`. CPU and memory are averaged,
+ *       `memoryMaxBytes` is the peak of the bucket and network/block I/O are the bytes
+ *       transferred during the bucket. Ranges older than the raw retention (24 hours by
+ *       default) are served from hourly rollups, so the returned resolution is at least 1h.
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         description: Start time (Unix seconds or ISO date), defaults to 24 hours before `to`
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         description: End time (Unix seconds or ISO date), defaults to now
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resolution
+ *         schema:
+ *           type: string
+ *           enum: [1m, 5m, 15m, 1h, 6h, 1d]
+ *           default: 5m
+ *     responses:
+ *       200:
+ *         description: Usage history
+ *       400:
+ *         description: Invalid range or resolution
+ *       404:
+ *         description: Container not found
+ */
+router.get('/:id/stats/history', async (req, res) => {
+  try {
+    const result = await containerService.getStatsHistory(req.params.id, req.query, req.tenant);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/logs:
+ *   get:
+ *     summary: Get container logs
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: lines
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: since
+ *         description: Only logs after this time (Unix seconds or ISO date)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: until
+ *         description: Only logs before this time (Unix seconds or ISO date)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: timestamps
+ *         description: Prefix every line with its timestamp
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: string
+ *           enum: [all, stdout, stderr]
+ *           default: all
+ *     responses:
+ *       200:
+ *         description: Container logs
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/:id/logs', async (req, res) => {
+  try {
+    const options = containerService.parseLogOptions(req.query);
+    const result = await containerService.getContainerLogs(req.params.id, options, req.tenant);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}/logs/stream:
+ *   get:
+ *     summary: Follow container logs in real time (Server-Sent Events)
+ *     description: |
+ *       An `open` event is sent once the stream is attached, then every log line
+ *       as an `stdout` or `stderr` event. An `end` event
+ *       is sent when the container stops, an `error` event when following fails.
+ *       Without `since`, the last 100 lines (or `lines`) are replayed first.
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: lines
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: since
+ *         description: Only logs after this time (Unix seconds or ISO date)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: until
+ *         description: Only logs before this time (Unix seconds or ISO date)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: timestamps
+ *         description: Prefix every line with its timestamp
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: string
+ *           enum: [all, stdout, stderr]
+ *           default: all
+ *     responses:
+ *       200:
+ *         description: Event stream of log lines
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: stdout\ndata: Editor is now accessible via\n\n"
+ *       400:
+ *         description: Invalid filter
+ *       404:
+ *         description: Container not found
+ */
+router.get('/:id/logs/stream', async (req, res) => {
+  let stop = null;
+  let heartbeat = null;
+  
+  const send = (event, data) => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+    }
+    res.write(`event: ${event}\ndata: ${data}\n\n`);
+  };
+  
+  const close = () => {
+    clearInterval(heartbeat);
+    if (stop) {
+      stop();
+    }
+  };
+  
+  res.on('close', close);
+  
+  try {
+    const options = containerService.parseLogOptions(req.query);
+    
+    stop = await containerService.followContainerLogs(req.params.id, options, {
+      onLine: (stream, line) => send(stream, line),
+      onEnd: () => {
+        if (res.destroyed || res.writableEnded) {
+          return;
+        }
+        send('end', JSON.stringify({ reason: 'Log stream ended' }));
+        close();
+        res.end();
+      },
+      onError: (error) => {
+        if (res.destroyed || res.writableEnded) {
+          return;
+        }
+        send('error', JSON.stringify({ error: `Log stream failed: ${error.message}` }));
+        close();
+        res.end();
+      }
+    }, req.tenant);
+    
+    // Client disconnected while the stream was being opened
+    if (res.destroyed) {
+      close();
+      return;
+    }
+    
+    send('open', JSON.stringify({ containerId: parseInt(req.params.id) }));
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  } catch (error) {
+    if (res.headersSent) {
+      send('error', JSON.stringify({ error: error.message }));
+      res.end();
+    } else {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/containers/{id}:
+ *   delete:
+ *     summary: Delete a container
+ *     tags: [Containers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Return the planned removals without deleting anything
+ *     responses:
+ *       200:
+ *         description: Dry run plan (dryRun=true)
+ *       202:
+ *         description: Delete job accepted
+ */
+router.delete('/:id', audit('container.delete'), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const result = await containerService.deleteContainer(req.params.id, req.tenant, { dryRun });
+    res.status(dryRun ? 200 : 202).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const jobService = require('../services/job.service');
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List recent jobs
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: query
+ *         name: containerId
+ *         schema:
+ *           type: integer
+ *         description: Filter by container
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [create, redeploy, backup, delete, resize, rename]
+ *         description: Filter by job type
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, succeeded, failed]
+ *         description: Filter by status
+ *     responses:
+ *       200:
+ *         description: List of jobs, newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filters = {
+      containerId: req.query.containerId,
+      type: req.query.type,
+      status: req.query.status
+    };
+    
+    const jobs = await jobService.listJobs(filters, req.tenant);
+    res.json(jobs);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get job status and step progress
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Job with status, steps, result and error
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id, req.tenant);
+    res.json(job);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const containerService = require('../services/container.service');
+const catalogService = require('../services/catalog.service');
+const { requireAdmin } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -36,7 +38,253 @@ router.get('/', async (req, res) => {
     const services = await containerService.listServices();
     res.json(services);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/services:
+ *   post:
+ *     summary: Upload a new service template (admin only)
+ *     description: |
+ *       The compose file must parse and every ${VAR} used in the templates must be
+ *       a system variable or declared in config.json (requiredEnvVars or defaultEnvVars).
+ *     tags: [Services]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - composeYaml
+ *               - envTemplate
+ *               - config
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: uptime-kuma
+ *               composeYaml:
+ *                 type: string
+ *                 description: Contents of docker-compose.yaml
+ *               envTemplate:
+ *                 type: string
+ *                 description: Contents of .env.template
+ *               config:
+ *                 type: object
+ *                 description: Contents of config.json
+ *                 example:
+ *                   description: "Uptime monitoring"
+ *                   defaultPort: 3001
+ *                   defaultCpu: "0.5"
+ *                   defaultMemory: "256M"
+ *                   requiredEnvVars: []
+ *                   defaultEnvVars: {}
+ *     responses:
+ *       201:
+ *         description: Service created
+ *       400:
+ *         description: Invalid template bundle
+ *       409:
+ *         description: Service already exists
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { name, composeYaml, envTemplate, config } = req.body;
+    const result = await catalogService.createService(name, { composeYaml, envTemplate, config });
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/services/{name}:
+ *   get:
+ *     summary: Get a service with its config.json and parameter schema
+ *     description: |
+ *       `parameters` lists every variable a client may pass in `envVars` with its
+ *       type, description, default, required, secret, enum and pattern.
+ *     tags: [Services]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Service details
+ *       404:
+ *         description: Service not found
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const service = await catalogService.getService(req.params.name);
+    res.json(service);
+  } catch (error) {
+    res.status(error.status || 404).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/services/{name}:
+ *   put:
+ *     summary: Replace the template bundle of a service (admin only)
+ *     description: New containers use the new bundle. Existing containers keep their compose file; their .env is re-rendered from the new template on redeploy.
+ *     tags: [Services]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - composeYaml
+ *               - envTemplate
+ *               - config
+ *             properties:
+ *               composeYaml:
+ *                 type: string
+ *                 description: Contents of docker-compose.yaml
+ *               envTemplate:
+ *                 type: string
+ *                 description: Contents of .env.template
+ *               config:
+ *                 type: object
+ *                 description: Contents of config.json
+ *                 example:
+ *                   description: "Uptime monitoring"
+ *                   defaultPort: 3001
+ *                   defaultCpu: "0.5"
+ *                   defaultMemory: "256M"
+ *                   requiredEnvVars: []
+ *                   defaultEnvVars: {}
+ *     responses:
+ *       200:
+ *         description: Service updated
+ *       400:
+ *         description: Invalid template bundle
+ *       404:
+ *         description: Service not found
+ */
+router.put('/:name', requireAdmin, async (req, res) => {
+  try {
+    const { composeYaml, envTemplate, config } = req.body;
+    const result = await catalogService.updateService(req.params.name, { composeYaml, envTemplate, config });
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/services/{name}:
+ *   delete:
+ *     summary: Delete a service template (admin only)
+ *     tags: [Services]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Service deleted
+ *       404:
+ *         description: Service not found
+ *       409:
+ *         description: Service is still used by containers, deleted ones included, or a create in progress
+ */
+router.delete('/:name', requireAdmin, async (req, res) => {
+  try {
+    const result = await catalogService.deleteService(req.params.name);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/services/{name}/retention:
+ *   get:
+ *     summary: Get default backup retention policy of a service
+ *     tags: [Services]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Retention policy
+ *       404:
+ *         description: Service not found
+ */
+router.get('/:name/retention', async (req, res) => {
+  try {
+    const result = await containerService.getServiceRetentionPolicy(req.params.name);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/services/{name}/retention:
+ *   put:
+ *     summary: Set default backup retention policy of a service (admin only)
+ *     description: Applies to every container of the service without its own policy.
+ *     tags: [Services]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keepLast:
+ *                 type: integer
+ *                 example: 7
+ *               keepDailyDays:
+ *                 type: integer
+ *                 example: 30
+ *     responses:
+ *       200:
+ *         description: Retention policy updated
+ *       400:
+ *         description: Invalid policy, or neither keepLast nor keepDailyDays given
+ *       404:
+ *         description: Service not found
+ */
+router.put('/:name/retention', requireAdmin, async (req, res) => {
+  try {
+    const { keepLast, keepDailyDays } = req.body;
+    const result = await containerService.setServiceRetentionPolicy(req.params.name, { keepLast, keepDailyDays });
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -0,0 +1,365 @@
+const express = require('express');
+const router = express.Router();
+const tenantService = require('../services/tenant.service');
+const quotaService = require('../services/quota.service');
+const { requireAdmin } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/tenants/me:
+ *   get:
+ *     summary: Get the tenant owning the current API key
+ *     tags: [Tenants]
+ *     responses:
+ *       200:
+ *         description: Current tenant
+ */
+router.get('/me', (req, res) => {
+  res.json(req.tenant);
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Quota:
+ *       type: object
+ *       description: Limits per tenant, null means unlimited
+ *       properties:
+ *         maxContainers:
+ *           type: integer
+ *           nullable: true
+ *           example: 5
+ *         maxCpu:
+ *           type: number
+ *           nullable: true
+ *           example: 4
+ *         maxMemory:
+ *           type: string
+ *           nullable: true
+ *           example: 8G
+ *         maxBackups:
+ *           type: integer
+ *           nullable: true
+ *           example: 50
+ *         maxBackupDisk:
+ *           type: string
+ *           nullable: true
+ *           example: 20G
+ */
+
+/**
+ * @swagger
+ * /api/tenants/me/quota:
+ *   get:
+ *     summary: Get quota and current usage of the current tenant
+ *     description: Containers still being provisioned count towards the usage.
+ *     tags: [Tenants]
+ *     responses:
+ *       200:
+ *         description: Quota and usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 quota:
+ *                   $ref: '#/components/schemas/Quota'
+ *                 usage:
+ *                   type: object
+ *                   properties:
+ *                     containers:
+ *                       type: integer
+ *                     cpu:
+ *                       type: number
+ *                     memoryBytes:
+ *                       type: integer
+ *                     backups:
+ *                       type: integer
+ *                     backupBytes:
+ *                       type: integer
+ *       400:
+ *         description: The bootstrap admin key has no quota
+ */
+router.get('/me/quota', async (req, res) => {
+  try {
+    const result = await quotaService.getQuotaUsage(req.tenant.id);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants:
+ *   get:
+ *     summary: List all tenants (admin only)
+ *     tags: [Tenants]
+ *     responses:
+ *       200:
+ *         description: List of tenants
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const tenants = await tenantService.listTenants();
+    res.json(tenants);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants:
+ *   post:
+ *     summary: Create a tenant (admin only)
+ *     tags: [Tenants]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: toko404
+ *               role:
+ *                 type: string
+ *                 enum: [tenant, admin]
+ *                 default: tenant
+ *     responses:
+ *       201:
+ *         description: Tenant created
+ *       400:
+ *         description: Bad request
+ *       409:
+ *         description: Tenant already exists
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { name, role } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ error: 'Missing required field: name' });
+    }
+    
+    const tenant = await tenantService.createTenant({ name, role });
+    res.status(201).json(tenant);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{id}/keys:
+ *   get:
+ *     summary: List API keys of a tenant (admin only)
+ *     tags: [Tenants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of API keys (without the key itself)
+ *       404:
+ *         description: Tenant not found
+ */
+router.get('/:id/keys', requireAdmin, async (req, res) => {
+  try {
+    const keys = await tenantService.listApiKeys(req.params.id);
+    res.json(keys);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{id}/keys:
+ *   post:
+ *     summary: Create an API key for a tenant (admin only)
+ *     description: The plain API key is only returned once in this response.
+ *     tags: [Tenants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: billing-system
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       404:
+ *         description: Tenant not found
+ */
+router.post('/:id/keys', requireAdmin, async (req, res) => {
+  try {
+    const key = await tenantService.createApiKey(req.params.id, req.body?.name);
+    res.status(201).json(key);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{id}/keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key (admin only)
+ *     tags: [Tenants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id/keys/:keyId', requireAdmin, async (req, res) => {
+  try {
+    const result = await tenantService.revokeApiKey(req.params.id, req.params.keyId);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{id}/quota:
+ *   get:
+ *     summary: Get quota and current usage of a tenant (admin only)
+ *     tags: [Tenants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Quota and usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 quota:
+ *                   $ref: '#/components/schemas/Quota'
+ *                 usage:
+ *                   type: object
+ *                   properties:
+ *                     containers:
+ *                       type: integer
+ *                     cpu:
+ *                       type: number
+ *                     memoryBytes:
+ *                       type: integer
+ *                     backups:
+ *                       type: integer
+ *                     backupBytes:
+ *                       type: integer
+ *       404:
+ *         description: Tenant not found
+ */
+router.get('/:id/quota', requireAdmin, async (req, res) => {
+  try {
+    const result = await quotaService.getQuotaUsage(parseInt(req.params.id));
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{id}/quota:
+ *   put:
+ *     summary: Set the quota of a tenant (admin only)
+ *     description: Omitted fields keep their current value, null means unlimited.
+ *     tags: [Tenants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Quota'
+ *     responses:
+ *       200:
+ *         description: Quota updated
+ *       400:
+ *         description: Invalid quota
+ *       404:
+ *         description: Tenant not found
+ */
+router.put('/:id/quota', requireAdmin, async (req, res) => {
+  try {
+    const result = await quotaService.setQuota(parseInt(req.params.id), req.body || {});
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{id}/quota:
+ *   delete:
+ *     summary: Reset the quota of a tenant to the QUOTA_* defaults (admin only)
+ *     tags: [Tenants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Quota reset
+ *       404:
+ *         description: Tenant not found
+ */
+router.delete('/:id/quota', requireAdmin, async (req, res) => {
+  try {
+    const result = await quotaService.resetQuota(parseInt(req.params.id));
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
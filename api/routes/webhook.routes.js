@@ -0,0 +1,297 @@
+const express = require('express');
+const router = express.Router();
+const webhookService = require('../services/webhook.service');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookEvent:
+ *       type: string
+ *       enum: ['*', container.created, container.started, container.stopped, container.restarted, container.redeployed, container.upgraded, container.resized, container.renamed, container.env_updated, container.domain_added, container.domain_removed, container.backup_completed, container.restored, container.deleted, container.failed]
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhook subscriptions
+ *     description: Tenants see their own subscriptions, admins see all.
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: List of subscriptions (secrets are never returned)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await webhookService.listSubscriptions(req.tenant);
+    res.json(subscriptions);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Subscribe a URL to lifecycle events
+ *     description: |
+ *       Events are POSTed as JSON with the headers X-Webhook-Id, X-Webhook-Event, X-Webhook-Timestamp and
+ *       X-Webhook-Signature (`sha256=` + hex HMAC-SHA256 of `<timestamp>.<body>` with the secret).
+ *       Tenants receive events of their own containers, subscriptions of admins receive all events.
+ *       Non-2xx responses are retried with exponential backoff.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: https://billing.example.com/hooks/no-pod
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/WebhookEvent'
+ *                 default: ['*']
+ *               secret:
+ *                 type: string
+ *                 description: Signing secret (at least 16 characters), generated if omitted
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Subscription created, the secret is only returned here
+ *       400:
+ *         description: Invalid URL, events or secret
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (!req.body.url) {
+      return res.status(400).json({ error: 'Missing required field: url' });
+    }
+    
+    const subscription = await webhookService.createSubscription(req.body, req.tenant);
+    res.status(201).json(subscription);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook subscription
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Subscription
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const subscription = await webhookService.getSubscription(req.params.id, req.tenant);
+    res.json(subscription);
+  } catch (error) {
+    res.status(error.status || 404).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook subscription
+ *     description: Omitted fields keep their value. Set active to false to pause deliveries.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/WebhookEvent'
+ *               secret:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated subscription
+ *       404:
+ *         description: Subscription not found
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const subscription = await webhookService.updateSubscription(req.params.id, req.body, req.tenant);
+    res.json(subscription);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery log
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Subscription deleted
+ *       404:
+ *         description: Subscription not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await webhookService.deleteSubscription(req.params.id, req.tenant);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log of a subscription
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, delivered, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           $ref: '#/components/schemas/WebhookEvent'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Deliveries with payload, attempts, response status and last error, newest first
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const filters = {
+      status: req.query.status,
+      event: req.query.event,
+      limit: req.query.limit
+    };
+    
+    const deliveries = await webhookService.listDeliveries(req.params.id, filters, req.tenant);
+    res.json(deliveries);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/replay:
+ *   post:
+ *     summary: Replay every failed delivery of a subscription
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Failed deliveries queued again
+ *       404:
+ *         description: Subscription not found
+ */
+router.post('/:id/deliveries/replay', async (req, res) => {
+  try {
+    const result = await webhookService.replayFailed(req.params.id, req.tenant);
+    res.status(202).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Send a delivery again
+ *     description: The original payload is sent again with a new timestamp and signature, and a fresh set of retries.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Delivery after the first new attempt
+ *       404:
+ *         description: Subscription or delivery not found
+ *       409:
+ *         description: Delivery is still pending
+ */
+router.post('/:id/deliveries/:deliveryId/replay', async (req, res) => {
+  try {
+    const delivery = await webhookService.replayDelivery(req.params.id, req.params.deliveryId, req.tenant);
+    res.json(delivery);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
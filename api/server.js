@@ -1,11 +1,26 @@
 require('dotenv').config();
 const express = require('express');
 const swaggerUi = require('swagger-ui-express');
-const swaggerSpecs = require('./config/swagger');
+const buildSwaggerSpecs = require('./config/swagger');
 const { testConnection } = require('./config/database');
+const { authenticate, requireAdmin } = require('./middleware/auth');
 
 const containerRoutes = require('./routes/container.routes');
 const serviceRoutes = require('./routes/service.routes');
+const tenantRoutes = require('./routes/tenant.routes');
+const backupScheduleRoutes = require('./routes/backup-schedule.routes');
+const jobRoutes = require('./routes/job.routes');
+const jobService = require('./services/job.service');
+const adminRoutes = require('./routes/admin.routes');
+const reconciler = require('./services/reconciler.service');
+const backupScheduler = require('./services/scheduler.service');
+const catalogService = require('./services/catalog.service');
+const statsService = require('./services/stats.service');
+const certificateService = require('./services/certificate.service');
+const webhookService = require('./services/webhook.service');
+const dockerEvents = require('./services/docker-events.service');
+const webhookRoutes = require('./routes/webhook.routes');
+const auditRoutes = require('./routes/audit.routes');
 
 const app = express();
 const PORT = process.env.API_PORT || 6000;
@@ -14,12 +29,21 @@ const PORT = process.env.API_PORT || 6000;
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Swagger Documentation
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs));
+// Swagger Documentation (served from JSON so per-service schemas stay current)
+app.get('/api-docs.json', (req, res) => {
+  res.json(buildSwaggerSpecs());
+});
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(null, { swaggerOptions: { url: '/api-docs.json' } }));
 
-// Routes
-app.use('/api/containers', containerRoutes);
-app.use('/api/services', serviceRoutes);
+// Routes (all require an API key)
+app.use('/api/containers', authenticate, containerRoutes);
+app.use('/api/services', authenticate, serviceRoutes);
+app.use('/api/tenants', authenticate, tenantRoutes);
+app.use('/api/backup-schedules', authenticate, backupScheduleRoutes);
+app.use('/api/jobs', authenticate, jobRoutes);
+app.use('/api/webhooks', authenticate, webhookRoutes);
+app.use('/api/audit', authenticate, auditRoutes);
+app.use('/api/admin', authenticate, requireAdmin, adminRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -49,6 +73,20 @@ async function startServer() {
     
     if (!dbConnected) {
       console.error('⚠️  Starting server without database connection');
+    } else {
+      await jobService.failInterruptedJobs();
+      
+      // Keep the services table in sync with services/*/config.json
+      await catalogService.syncAll();
+      
+      // Start automatic backups, drift reconciliation, stats sampling, certificate polling,
+      // webhook retries and container status sync from Docker events
+      await backupScheduler.start();
+      reconciler.start();
+      statsService.start();
+      certificateService.start();
+      await webhookService.start();
+      dockerEvents.start();
     }
     
     app.listen(PORT, "0.0.0.0", () => {
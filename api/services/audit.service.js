@@ -0,0 +1,161 @@
+const { pool } = require('../config/database');
+const tenantService = require('./tenant.service');
+const HttpError = require('../utils/http-error');
+
+const SECRET_PATTERN = /PASS|SECRET|TOKEN|KEY|AUTH|CREDENTIAL/i;
+const MASK = '********';
+
+const CSV_COLUMNS = [
+  'id', 'createdAt', 'actorId', 'actorName', 'actorIp', 'action', 'containerId', 'containerIdentifier',
+  'outcome', 'statusCode', 'error', 'durationMs', 'jobId', 'jobStatus', 'parameters'
+];
+
+class AuditService {
+  
+  /**
+   * Copy of request parameters with values of secret-looking keys masked,
+   * at any depth (e.g. envVars.N8N_SMTP_PASS or a webhook secret)
+   */
+  redact(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_PATTERN.test(key) && item !== null && typeof item !== 'object' ? MASK : this.redact(item)
+      ]));
+    }
+    
+    return value;
+  }
+  
+  async record(event) {
+    await pool.query(
+      `INSERT INTO audit_events
+       (actor_id, actor_name, actor_ip, action, container_id, container_identifier, parameters, outcome, status_code, error, job_id, duration_ms)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        event.actor?.id ?? null,
+        event.actor?.name || 'anonymous',
+        event.ip || null,
+        event.action,
+        event.containerId || null,
+        event.containerIdentifier || null,
+        JSON.stringify(event.parameters || {}),
+        event.outcome,
+        event.statusCode,
+        event.error || null,
+        event.jobId || null,
+        event.durationMs
+      ]
+    );
+  }
+  
+  toEvent(row) {
+    return {
+      id: row.id,
+      createdAt: row.created_at,
+      actorId: row.actor_id,
+      actorName: row.actor_name,
+      actorIp: row.actor_ip,
+      action: row.action,
+      containerId: row.container_id ?? row.job_container_id ?? null,
+      containerIdentifier: row.container_identifier ?? row.current_identifier ?? null,
+      outcome: row.outcome,
+      statusCode: row.status_code,
+      error: row.error,
+      durationMs: row.duration_ms,
+      jobId: row.job_id,
+      jobStatus: row.job_status ?? null,
+      parameters: row.parameters
+    };
+  }
+  
+  /**
+   * Audit events, newest first. Tenants see events they caused and events
+   * on their containers, admins see everything.
+   */
+  async listEvents(filters = {}, tenant) {
+    const conditions = [];
+    const params = [];
+    
+    if (!tenantService.isAdmin(tenant)) {
+      conditions.push('(a.actor_id = ? OR c.owner_id = ?)');
+      params.push(tenant.id, tenant.id);
+    }
+    
+    if (filters.containerId) {
+      conditions.push('COALESCE(a.container_id, j.container_id) = ?');
+      params.push(filters.containerId);
+    }
+    
+    if (filters.action) {
+      conditions.push('a.action = ?');
+      params.push(filters.action);
+    }
+    
+    if (filters.actorId) {
+      conditions.push('a.actor_id = ?');
+      params.push(filters.actorId);
+    }
+    
+    if (filters.outcome) {
+      conditions.push('a.outcome = ?');
+      params.push(filters.outcome);
+    }
+    
+    if (filters.from !== undefined) {
+      conditions.push('a.created_at >= FROM_UNIXTIME(?)');
+      params.push(filters.from);
+    }
+    
+    if (filters.to !== undefined) {
+      conditions.push('a.created_at < FROM_UNIXTIME(?)');
+      params.push(filters.to);
+    }
+    
+    const limit = parseInt(filters.limit) || 100;
+    const offset = parseInt(filters.offset) || 0;
+    
+    if (limit < 1 || limit > 5000 || offset < 0) {
+      throw new HttpError(400, 'limit must be between 1 and 5000, offset must not be negative');
+    }
+    
+    const [rows] = await pool.query(
+      `SELECT a.*, j.status AS job_status, j.container_id AS job_container_id, c.container_identifier AS current_identifier
+       FROM audit_events a
+       LEFT JOIN jobs j ON j.id = a.job_id
+       LEFT JOIN containers c ON c.id = COALESCE(a.container_id, j.container_id)
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    
+    return rows.map(row => this.toEvent(row));
+  }
+  
+  toCsv(events) {
+    const escape = (value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      
+      let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      
+      // Keep spreadsheet applications from evaluating cell content
+      if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+      
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const lines = events.map(event => CSV_COLUMNS.map(column => escape(event[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new AuditService();
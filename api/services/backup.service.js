@@ -0,0 +1,269 @@
+const fs = require('fs').promises;
+const path = require('path');
+const cron = require('node-cron');
+const { pool } = require('../config/database');
+const dockerService = require('./docker.service');
+const HttpError = require('../utils/http-error');
+
+class BackupService {
+  
+  /**
+   * Record a backup archive written by DockerService.backupContainer
+   */
+  async recordBackup(container, backup) {
+    const fileName = path.basename(backup.backupFile);
+    
+    const [result] = await pool.query(
+      `INSERT INTO backups (container_id, container_identifier, file_name, file_path, size_bytes)
+       VALUES (?, ?, ?, ?, ?)`,
+      [container.id, container.container_identifier, fileName, backup.backupFile, backup.size]
+    );
+    
+    return {
+      id: result.insertId,
+      fileName,
+      ...backup
+    };
+  }
+  
+  async listBackups(containerId) {
+    const [backups] = await pool.query(
+      'SELECT * FROM backups WHERE container_id = ? ORDER BY created_at DESC, id DESC',
+      [containerId]
+    );
+    return backups;
+  }
+  
+  async getBackup(containerId, backupId) {
+    const [backups] = await pool.query(
+      'SELECT * FROM backups WHERE id = ? AND container_id = ?',
+      [backupId, containerId]
+    );
+    
+    if (backups.length === 0) {
+      throw new HttpError(404, 'Backup not found');
+    }
+    
+    return backups[0];
+  }
+  
+  /**
+   * Catalog entry of a backup file of the container, null when the file is
+   * not cataloged. Backups keep the name they got before a rename.
+   */
+  async findBackupByFile(containerId, fileName) {
+    const [backups] = await pool.query(
+      'SELECT * FROM backups WHERE file_name = ? AND container_id = ?',
+      [fileName, containerId]
+    );
+    
+    return backups[0] || null;
+  }
+  
+  async deleteBackup(containerId, backupId) {
+    const backup = await this.getBackup(containerId, backupId);
+    
+    await fs.rm(backup.file_path, { force: true });
+    await pool.query('DELETE FROM backups WHERE id = ?', [backup.id]);
+    
+    return { message: 'Backup deleted successfully', fileName: backup.file_name };
+  }
+  
+  /**
+   * Get retention policy of a container, falling back to its service policy
+   */
+  async getRetentionPolicy(container) {
+    const [policies] = await pool.query(
+      `SELECT * FROM retention_policies
+       WHERE container_id = ? OR (container_id IS NULL AND service_name = ?)
+       ORDER BY container_id IS NULL
+       LIMIT 1`,
+      [container.id, container.service_name]
+    );
+    
+    return policies[0] || null;
+  }
+  
+  async getServiceRetentionPolicy(serviceName) {
+    const [policies] = await pool.query(
+      'SELECT * FROM retention_policies WHERE container_id IS NULL AND service_name = ?',
+      [serviceName]
+    );
+    
+    return policies[0] || null;
+  }
+  
+  /**
+   * Create or replace a retention policy for a container ({ containerId })
+   * or a service ({ serviceName })
+   */
+  async setRetentionPolicy(target, policy) {
+    const keepLast = this.parsePolicyValue(policy.keepLast, 'keepLast');
+    const keepDailyDays = this.parsePolicyValue(policy.keepDailyDays, 'keepDailyDays');
+    
+    // An empty policy would keep everything and hide the service policy
+    if (keepLast === null && keepDailyDays === null) {
+      throw new HttpError(400, 'keepLast or keepDailyDays is required');
+    }
+    
+    const [existing] = target.containerId
+      ? await pool.query('SELECT id FROM retention_policies WHERE container_id = ?', [target.containerId])
+      : await pool.query(
+        'SELECT id FROM retention_policies WHERE container_id IS NULL AND service_name = ?',
+        [target.serviceName]
+      );
+    
+    if (existing.length > 0) {
+      await pool.query(
+        'UPDATE retention_policies SET keep_last = ?, keep_daily_days = ? WHERE id = ?',
+        [keepLast, keepDailyDays, existing[0].id]
+      );
+    } else {
+      await pool.query(
+        'INSERT INTO retention_policies (container_id, service_name, keep_last, keep_daily_days) VALUES (?, ?, ?, ?)',
+        [target.containerId || null, target.serviceName || null, keepLast, keepDailyDays]
+      );
+    }
+    
+    return { ...target, keepLast, keepDailyDays };
+  }
+  
+  parsePolicyValue(value, name) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+      throw new HttpError(400, `${name} must be a positive integer`);
+    }
+    
+    return parsed;
+  }
+  
+  /**
+   * Delete backups not kept by the container's retention policy.
+   * A backup is kept if it is one of the last N backups, or the newest
+   * backup of a day within the last D days.
+   */
+  async applyRetention(container) {
+    const policy = await this.getRetentionPolicy(container);
+    
+    if (!policy || (!policy.keep_last && !policy.keep_daily_days)) {
+      return [];
+    }
+    
+    const backups = await this.listBackups(container.id);
+    const keep = new Set();
+    
+    if (policy.keep_last) {
+      backups.slice(0, policy.keep_last).forEach(backup => keep.add(backup.id));
+    }
+    
+    if (policy.keep_daily_days) {
+      const cutoff = Date.now() - policy.keep_daily_days * 24 * 60 * 60 * 1000;
+      const days = new Set();
+      
+      for (const backup of backups) {
+        const createdAt = new Date(backup.created_at);
+        const day = createdAt.toISOString().slice(0, 10);
+        
+        if (createdAt.getTime() >= cutoff && !days.has(day)) {
+          days.add(day);
+          keep.add(backup.id);
+        }
+      }
+    }
+    
+    const pruned = [];
+    for (const backup of backups) {
+      if (keep.has(backup.id)) {
+        continue;
+      }
+      
+      try {
+        await fs.rm(backup.file_path, { force: true });
+        await pool.query('DELETE FROM backups WHERE id = ?', [backup.id]);
+        pruned.push(backup.file_name);
+      } catch (error) {
+        console.error(`⚠️  Failed to prune backup ${backup.file_name}:`, error.message);
+      }
+    }
+    
+    if (pruned.length > 0) {
+      console.log(`🧹 Pruned ${pruned.length} backup(s) of ${container.container_identifier}`);
+    }
+    
+    return pruned;
+  }
+  
+  /**
+   * Resolve the effective backup schedule of a container: its own schedule,
+   * or the service default `backupSchedule` from config.json
+   */
+  async resolveSchedule(container) {
+    const [schedules] = await pool.query(
+      'SELECT * FROM backup_schedules WHERE container_id = ?',
+      [container.id]
+    );
+    
+    if (schedules.length > 0) {
+      return {
+        cronExpression: schedules[0].cron_expression,
+        enabled: Boolean(schedules[0].enabled),
+        source: 'container'
+      };
+    }
+    
+    const serviceConfig = await dockerService.loadServiceConfig(container.service_name);
+    
+    return {
+      cronExpression: serviceConfig.backupSchedule || null,
+      enabled: Boolean(serviceConfig.backupSchedule),
+      source: serviceConfig.backupSchedule ? 'service' : null
+    };
+  }
+  
+  async setSchedule(containerId, schedule) {
+    const { cronExpression, enabled = true } = schedule;
+    
+    if (!cronExpression || !cron.validate(cronExpression)) {
+      throw new HttpError(400, `Invalid cron expression: '${cronExpression}'`);
+    }
+    
+    await pool.query(
+      `INSERT INTO backup_schedules (container_id, cron_expression, enabled) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE cron_expression = VALUES(cron_expression), enabled = VALUES(enabled)`,
+      [containerId, cronExpression, Boolean(enabled)]
+    );
+    
+    return { cronExpression, enabled: Boolean(enabled), source: 'container' };
+  }
+  
+  /**
+   * Remove the container schedule so the service default applies again
+   */
+  async deleteSchedule(containerId) {
+    await pool.query('DELETE FROM backup_schedules WHERE container_id = ?', [containerId]);
+  }
+  
+  async recordRun(run) {
+    const [result] = await pool.query(
+      `INSERT INTO backup_runs (container_id, backup_id, cron_expression, status, error, started_at, finished_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [run.containerId, run.backupId || null, run.cronExpression, run.status, run.error || null, run.startedAt]
+    );
+    
+    return result.insertId;
+  }
+  
+  async listRuns(containerId, limit = 20) {
+    const [runs] = await pool.query(
+      'SELECT * FROM backup_runs WHERE container_id = ? ORDER BY started_at DESC, id DESC LIMIT ?',
+      [containerId, limit]
+    );
+    return runs;
+  }
+}
+
+module.exports = new BackupService();
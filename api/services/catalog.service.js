@@ -0,0 +1,235 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { pool } = require('../config/database');
+const envService = require('./env.service');
+const secretService = require('./secret.service');
+const healthService = require('./health.service');
+const HttpError = require('../utils/http-error');
+
+const SERVICES_DIR = path.join(process.cwd(), 'services');
+const VARIABLE_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?:[:?-][^}]*)?\}/g;
+
+class CatalogService {
+  
+  /**
+   * Validate a template bundle ({ composeYaml, envTemplate, config })
+   * and return the normalized config
+   */
+  validateBundle(name, bundle) {
+    const { composeYaml, envTemplate, config } = bundle;
+    
+    if (typeof name !== 'string' || !/^[a-z0-9-]+$/.test(name)) {
+      throw new HttpError(400, 'Service name must contain only lowercase letters, numbers, and dashes');
+    }
+    
+    if (typeof composeYaml !== 'string' || typeof envTemplate !== 'string') {
+      throw new HttpError(400, 'composeYaml and envTemplate must be strings');
+    }
+    
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new HttpError(400, 'config must be an object');
+    }
+    
+    let compose;
+    try {
+      compose = yaml.load(composeYaml);
+    } catch (error) {
+      throw new HttpError(400, `docker-compose.yaml does not parse: ${error.message}`);
+    }
+    
+    if (!compose?.services || typeof compose.services !== 'object' || Object.keys(compose.services).length === 0) {
+      throw new HttpError(400, 'docker-compose.yaml must define at least one service');
+    }
+    
+    const normalized = { ...config, name };
+    
+    for (const field of ['description', 'defaultCpu', 'defaultMemory']) {
+      if (!normalized[field]) {
+        throw new HttpError(400, `config.${field} is required`);
+      }
+    }
+    
+    if (!Number.isInteger(normalized.defaultPort)) {
+      throw new HttpError(400, 'config.defaultPort must be an integer');
+    }
+    
+    envService.validateSchema(normalized.parameters);
+    healthService.validateDefinition(normalized.healthCheck);
+    secretService.validateTemplate(envTemplate);
+    secretService.validateAdoption(normalized.adoptSecrets);
+    secretService.validateCreateOnly(normalized.createOnlySecrets);
+    
+    // Every variable must be a system variable or declared in config.json
+    const declared = new Set([
+      ...(normalized.requiredEnvVars || []),
+      ...Object.keys(normalized.defaultEnvVars || {}),
+      ...Object.keys(normalized.parameters || {})
+    ]);
+    const undeclared = [...this.extractVariables(composeYaml), ...this.extractVariables(envTemplate)]
+      .filter(key => !envService.isSystemVar(key) && !declared.has(key));
+    
+    if (undeclared.length > 0) {
+      throw new HttpError(400, `Undeclared template variables: ${[...new Set(undeclared)].join(', ')}`);
+    }
+    
+    return normalized;
+  }
+  
+  /**
+   * Names of all ${VAR} references in a template
+   */
+  extractVariables(content) {
+    return [...content.matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+  }
+  
+  async serviceExists(name) {
+    return fs.access(path.join(SERVICES_DIR, name, 'config.json')).then(() => true, () => false);
+  }
+  
+  async getService(name) {
+    const [services] = await pool.query('SELECT * FROM services WHERE name = ?', [name]);
+    
+    if (services.length === 0 || !(await this.serviceExists(name))) {
+      throw new HttpError(404, `Service '${name}' not found`);
+    }
+    
+    const config = JSON.parse(await fs.readFile(path.join(SERVICES_DIR, name, 'config.json'), 'utf-8'));
+    
+    return { ...services[0], config, parameters: envService.getParameters(config) };
+  }
+  
+  async createService(name, bundle) {
+    const config = this.validateBundle(name, bundle);
+    
+    if (await this.serviceExists(name)) {
+      throw new HttpError(409, `Service '${name}' already exists`);
+    }
+    
+    await this.writeBundle(name, bundle, config);
+    await this.syncService(config);
+    
+    return { message: 'Service created successfully', name, config };
+  }
+  
+  async updateService(name, bundle) {
+    const config = this.validateBundle(name, bundle);
+    
+    if (!(await this.serviceExists(name))) {
+      throw new HttpError(404, `Service '${name}' not found`);
+    }
+    
+    await this.writeBundle(name, bundle, config);
+    await this.syncService(config);
+    
+    return { message: 'Service updated successfully', name, config };
+  }
+  
+  /**
+   * Delete a service template, refusing while any container row references it
+   * or a create or clone for it is still in progress
+   */
+  async deleteService(name) {
+    if (!(await this.serviceExists(name))) {
+      throw new HttpError(404, `Service '${name}' not found`);
+    }
+    
+    const [live] = await pool.query(
+      'SELECT COUNT(*) AS count FROM containers WHERE service_name = ? AND status != "deleted"',
+      [name]
+    );
+    
+    if (live[0].count > 0) {
+      throw new HttpError(409, `Service '${name}' still has ${live[0].count} live container(s)`);
+    }
+    
+    // Deleted containers keep their row for backups and history, the foreign
+    // key would delete them along with the service
+    const [deleted] = await pool.query(
+      'SELECT COUNT(*) AS count FROM containers WHERE service_name = ?',
+      [name]
+    );
+    
+    if (deleted[0].count > 0) {
+      throw new HttpError(409, `Service '${name}' is still referenced by ${deleted[0].count} deleted container(s) and their backups`);
+    }
+    
+    const [provisioning] = await pool.query(
+      'SELECT COUNT(*) AS count FROM jobs WHERE service_name = ? AND type IN ("create", "clone") AND status IN ("queued", "running")',
+      [name]
+    );
+    
+    if (provisioning[0].count > 0) {
+      throw new HttpError(409, `Service '${name}' has ${provisioning[0].count} container(s) being created`);
+    }
+    
+    await pool.query('DELETE FROM services WHERE name = ?', [name]);
+    await fs.rm(path.join(SERVICES_DIR, name), { recursive: true, force: true });
+    
+    return { message: 'Service deleted successfully', name };
+  }
+  
+  /**
+   * Write the bundle to a temporary directory and swap it in place
+   */
+  async writeBundle(name, bundle, config) {
+    const serviceDir = path.join(SERVICES_DIR, name);
+    const tempDir = path.join(SERVICES_DIR, `.${name}.tmp-${Date.now()}`);
+    const oldDir = path.join(SERVICES_DIR, `.${name}.old-${Date.now()}`);
+    
+    await fs.mkdir(tempDir, { recursive: true });
+    
+    try {
+      await fs.writeFile(path.join(tempDir, 'docker-compose.yaml'), bundle.composeYaml);
+      await fs.writeFile(path.join(tempDir, '.env.template'), bundle.envTemplate);
+      await fs.writeFile(path.join(tempDir, 'config.json'), JSON.stringify(config, null, 2) + '\n');
+      
+      const exists = await fs.access(serviceDir).then(() => true, () => false);
+      if (exists) {
+        await fs.rename(serviceDir, oldDir);
+      }
+      
+      await fs.rename(tempDir, serviceDir);
+      await fs.rm(oldDir, { recursive: true, force: true });
+    } catch (error) {
+      await fs.rm(tempDir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+  
+  /**
+   * Upsert the services table row from config.json
+   */
+  async syncService(config) {
+    await pool.query(
+      `INSERT INTO services (name, description, default_port, default_cpu, default_memory)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE description = VALUES(description), default_port = VALUES(default_port),
+         default_cpu = VALUES(default_cpu), default_memory = VALUES(default_memory)`,
+      [config.name, config.description, config.defaultPort, config.defaultCpu, config.defaultMemory]
+    );
+  }
+  
+  /**
+   * Sync the services table with every services/<name>/config.json
+   */
+  async syncAll() {
+    const entries = await fs.readdir(SERVICES_DIR, { withFileTypes: true });
+    let synced = 0;
+    
+    for (const entry of entries.filter(e => e.isDirectory() && !e.name.startsWith('.'))) {
+      try {
+        const config = JSON.parse(await fs.readFile(path.join(SERVICES_DIR, entry.name, 'config.json'), 'utf-8'));
+        await this.syncService({ ...config, name: entry.name });
+        synced++;
+      } catch (error) {
+        console.warn(`⚠️  Could not sync service ${entry.name}:`, error.message);
+      }
+    }
+    
+    console.log(`📦 Synced ${synced} service(s) from services/`);
+    return synced;
+  }
+}
+
+module.exports = new CatalogService();
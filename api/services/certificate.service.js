@@ -0,0 +1,215 @@
+const { pool } = require('../config/database');
+const proxyService = require('./proxy.service');
+
+const DAY = 24 * 3600 * 1000;
+
+class CertificateService {
+  constructor() {
+    this.timer = null;
+    this.polling = false;
+    this.warningDays = parseInt(process.env.SSL_EXPIRY_WARNING_DAYS || '14');
+    this.pendingTimeoutMinutes = parseInt(process.env.SSL_PENDING_TIMEOUT_MINUTES || '60');
+  }
+  
+  /**
+   * Follow pending and expiring certificates every SSL_POLL_INTERVAL_SECONDS (0 disables)
+   */
+  start() {
+    const seconds = parseInt(process.env.SSL_POLL_INTERVAL_SECONDS || '300');
+    
+    if (seconds <= 0) {
+      return;
+    }
+    
+    this.timer = setInterval(() => {
+      this.poll().catch(error => console.error('❌ Certificate polling failed:', error.message));
+    }, seconds * 1000);
+    
+    console.log(`🔒 Certificate poller started (every ${seconds}s)`);
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  /**
+   * Request a certificate from the proxy provider. Never throws, failures
+   * are returned with status 'failed' so they can be stored and retried.
+   */
+  async request(domain, siteId) {
+    try {
+      const certificate = await proxyService.issueCertificate(domain, siteId);
+      
+      return {
+        domain,
+        certificateId: certificate.certificateId,
+        status: certificate.status,
+        expiresAt: certificate.expiresAt || null,
+        error: null
+      };
+    } catch (error) {
+      console.log('⚠️  Continuing without SSL...');
+      return { domain, certificateId: null, status: 'failed', expiresAt: null, error: error.message };
+    }
+  }
+  
+  async save(containerId, certificate) {
+    await pool.query(
+      `INSERT INTO container_certificates (container_id, domain, certificate_id, status, expires_at, error, checked_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE domain = VALUES(domain), certificate_id = VALUES(certificate_id), status = VALUES(status),
+         expires_at = VALUES(expires_at), error = VALUES(error), checked_at = NOW(), requested_at = NOW()`,
+      [
+        containerId,
+        certificate.domain,
+        certificate.certificateId,
+        certificate.status,
+        certificate.expiresAt ? new Date(certificate.expiresAt) : null,
+        certificate.error
+      ]
+    );
+  }
+  
+  /**
+   * Request and store the certificate of a container's primary domain
+   */
+  async issue(containerId, domain, siteId) {
+    const certificate = await this.request(domain, siteId);
+    await this.save(containerId, certificate);
+    return certificate;
+  }
+  
+  toCertificate(row) {
+    return {
+      domain: row.domain,
+      certificateId: row.certificate_id,
+      status: row.status,
+      expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+      error: row.error,
+      requestedAt: row.requested_at,
+      checkedAt: row.checked_at
+    };
+  }
+  
+  async getCertificate(containerId) {
+    const [rows] = await pool.query('SELECT * FROM container_certificates WHERE container_id = ?', [containerId]);
+    return rows.length > 0 ? this.toCertificate(rows[0]) : null;
+  }
+  
+  /**
+   * Certificate state with warnings, keyed by container id
+   */
+  async describeMany(containerIds) {
+    if (containerIds.length === 0) {
+      return new Map();
+    }
+    
+    const [rows] = await pool.query('SELECT * FROM container_certificates WHERE container_id IN (?)', [containerIds]);
+    const byContainer = new Map(rows.map(row => [row.container_id, this.toCertificate(row)]));
+    
+    return new Map(containerIds.map(id => [id, this.describe(byContainer.get(id) || null)]));
+  }
+  
+  describe(certificate) {
+    return {
+      ...(certificate || { status: 'none' }),
+      warnings: this.getWarnings(certificate)
+    };
+  }
+  
+  getWarnings(certificate) {
+    if (!certificate) {
+      return ['No SSL certificate recorded, the instance may only be reachable over HTTP'];
+    }
+    
+    if (certificate.status === 'failed') {
+      return [`SSL certificate could not be issued: ${certificate.error}`];
+    }
+    
+    if (certificate.status === 'pending') {
+      return ['SSL certificate is still being issued'];
+    }
+    
+    if (!certificate.expiresAt) {
+      return [];
+    }
+    
+    const remaining = new Date(certificate.expiresAt) - Date.now();
+    
+    if (remaining <= 0) {
+      return [`SSL certificate expired at ${certificate.expiresAt}`];
+    }
+    
+    if (remaining < this.warningDays * DAY) {
+      return [`SSL certificate expires in ${Math.ceil(remaining / DAY)} day(s), at ${certificate.expiresAt}`];
+    }
+    
+    return [];
+  }
+  
+  /**
+   * True when a new certificate should be requested instead of waiting
+   */
+  needsRenewal(certificate) {
+    if (!certificate || certificate.status === 'failed') {
+      return true;
+    }
+    
+    return certificate.status === 'issued' && this.getWarnings(certificate).length > 0;
+  }
+  
+  /**
+   * Refresh pending certificates until they are issued or failed, and
+   * expiring ones in case the provider renewed them
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    
+    this.polling = true;
+    
+    try {
+      const [rows] = await pool.query(
+        `SELECT cc.* FROM container_certificates cc
+         JOIN containers c ON c.id = cc.container_id
+         WHERE c.status != "deleted" AND cc.certificate_id IS NOT NULL
+           AND (cc.status = "pending" OR (cc.status = "issued" AND cc.expires_at < NOW() + INTERVAL ? DAY))`,
+        [this.warningDays]
+      );
+      
+      for (const row of rows) {
+        try {
+          await this.refresh(row);
+        } catch (error) {
+          console.warn(`⚠️  Could not check certificate of ${row.domain}:`, error.message);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+  
+  async refresh(row) {
+    const current = await proxyService.getCertificate(row.certificate_id);
+    let { status, error } = current;
+    
+    const pendingMinutes = (Date.now() - new Date(row.requested_at)) / 60000;
+    if (status === 'pending' && pendingMinutes > this.pendingTimeoutMinutes) {
+      status = 'failed';
+      error = `Certificate still pending after ${this.pendingTimeoutMinutes} minutes`;
+    }
+    
+    if (status !== row.status) {
+      console.log(`🔒 Certificate of ${row.domain}: ${row.status} → ${status}`);
+    }
+    
+    await pool.query(
+      'UPDATE container_certificates SET status = ?, expires_at = ?, error = ?, checked_at = NOW() WHERE container_id = ?',
+      [status, current.expiresAt ? new Date(current.expiresAt) : row.expires_at, error, row.container_id]
+    );
+  }
+}
+
+module.exports = new CertificateService();
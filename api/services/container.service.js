@@ -1,15 +1,50 @@
+const path = require('path');
 const { pool } = require('../config/database');
 const dockerService = require('./docker.service');
-const fastpanelService = require('./fastpanel.service');
+const proxyService = require('./proxy.service');
+const tenantService = require('./tenant.service');
+const backupService = require('./backup.service');
+const jobService = require('./job.service');
+const envService = require('./env.service');
+const secretService = require('./secret.service');
+const statsService = require('./stats.service');
+const quotaService = require('./quota.service');
+const certificateService = require('./certificate.service');
+const webhookService = require('./webhook.service');
+const domainService = require('./domain.service');
+const dockerEvents = require('./docker-events.service');
+const healthService = require('./health.service');
+const HttpError = require('../utils/http-error');
 
 class ContainerService {
+  constructor() {
+    // Identifiers claimed by create jobs that have not written their
+    // containers row yet, so a second create of the same name is refused
+    this.provisioning = new Set();
+  }
   
+  /**
+   * Validate the request, reserve a port and provision the container in a
+   * background job. Returns the job to poll, or the plan when dryRun is set.
+   * With `cloneFrom` the data of that container is copied in before start.
+   */
   async createContainer(data) {
-    const { instanceName, serviceName, resources } = data;
+    const { instanceName, serviceName, resources, version, ownerId, cloneFrom = null, dryRun = false } = data;
     
     // Validate instance name (alphanumeric and dash only)
     if (!/^[a-zA-Z0-9-]+$/.test(instanceName)) {
-      throw new Error('Instance name must contain only letters, numbers, and dashes');
+      throw new HttpError(400, 'Instance name must contain only letters, numbers, and dashes');
+    }
+    
+    // An owner picked by an admin must exist, the foreign key only fails at the end
+    if (ownerId) {
+      if (!/^\d+$/.test(String(ownerId))) {
+        throw new HttpError(400, 'ownerId must be a tenant id');
+      }
+      
+      await tenantService.getTenant(ownerId).catch(error => {
+        throw error.status === 404 ? new HttpError(400, `Owner tenant ${ownerId} does not exist`) : error;
+      });
     }
     
     // Check if service exists
@@ -19,76 +54,328 @@ class ContainerService {
     );
     
     if (services.length === 0) {
-      throw new Error(`Service '${serviceName}' not found`);
+      throw new HttpError(404, `Service '${serviceName}' not found`);
     }
     
     // Generate container name and subdomain
     const containerIdentifier = `${instanceName}-${serviceName}`;
     const subdomain = containerIdentifier;
     
-    // Check if container name already exists
-    const [existing] = await pool.query(
-      'SELECT * FROM containers WHERE container_identifier = ? AND status != "deleted"',
-      [containerIdentifier]
-    );
+    // Claim the name before looking at the table, a create of the same name
+    // that is still provisioning has no containers row until its last step
+    if (this.provisioning.has(containerIdentifier)) {
+      throw new HttpError(409, `Container '${containerIdentifier}' is already being created`);
+    }
     
-    if (existing.length > 0) {
-      throw new Error(`Container '${containerIdentifier}' already exists`);
+    if (!dryRun) {
+      this.provisioning.add(containerIdentifier);
     }
     
-    // Get available port
-    const port = await this.getAvailablePort();
+    let job;
+    try {
+      // Check if container name already exists
+      const [existing] = await pool.query(
+        'SELECT * FROM containers WHERE container_identifier = ? AND status != "deleted"',
+        [containerIdentifier]
+      );
+      
+      if (existing.length > 0) {
+        throw new HttpError(409, `Container '${containerIdentifier}' already exists`);
+      }
+      
+      // Set default resources if not provided
+      const cpu = resources?.cpu || services[0].default_cpu;
+      const memory = resources?.memory || services[0].default_memory;
+      this.validateResources({ cpu, memory });
+      
+      // Validate custom environment variables against config.json
+      const envVars = resources?.envVars || {};
+      const serviceConfig = await dockerService.loadServiceConfig(serviceName);
+      envService.validate(serviceConfig, envVars);
+      const healthCheck = healthService.getDefinition(serviceConfig);
+      
+      // Image tag is pinned per container, later changes go through upgradeContainer
+      const imageTag = version || serviceConfig.version || 'latest';
+      this.validateImageTag(imageTag);
+      
+      // Values of generated template helpers, stored with the container record.
+      // Fail before provisioning when they could not be stored encrypted.
+      // Clones keep the values of the source, the copied data may depend on them.
+      // A dry run leaves the source untouched.
+      const secrets = cloneFrom
+        ? await this.getSecrets(cloneFrom, { save: !dryRun })
+        : secretService.generate(await dockerService.loadEnvTemplate(serviceName));
+      if (Object.keys(secrets).length > 0) {
+        secretService.getKey();
+      }
+      
+      if (dryRun) {
+        await quotaService.checkResources(ownerId, { cpu, memory }, { newContainer: true });
+        const port = await this.getAvailablePort();
+        
+        return this.planCreate(
+          { instanceName, serviceName, containerIdentifier, subdomain, port, cpu, memory, envVars, secrets, imageTag, healthCheck, ownerId, cloneFrom },
+          serviceConfig
+        );
+      }
+      
+      // Check the owner's quota and hold the resources until provisioning ends
+      const releaseQuota = await quotaService.reserve(ownerId, { cpu, memory });
+      
+      let port;
+      try {
+        // Reserve port so concurrent jobs cannot pick the same one
+        port = await this.reservePort();
+        
+        const plan = { instanceName, serviceName, containerIdentifier, subdomain, port, cpu, memory, envVars, secrets, imageTag, healthCheck, ownerId, cloneFrom };
+        
+        job = await jobService.start(cloneFrom ? 'clone' : 'create', {
+          ownerId,
+          serviceName,
+          steps: [...(cloneFrom ? ['data_copy'] : []), 'compose_up', 'health', 'site', 'ssl', 'db_record']
+        }, (runner) => this.provisionContainer(plan, runner).finally(() => {
+          releaseQuota();
+          this.provisioning.delete(containerIdentifier);
+        }));
+      } catch (error) {
+        releaseQuota();
+        throw error;
+      }
+      
+      return {
+        ...job,
+        containerIdentifier,
+        subdomain,
+        port,
+        url: `https://${subdomain}.${process.env.BASE_DOMAIN}`,
+        ...(cloneFrom && { clonedFrom: cloneFrom.id })
+      };
+    } finally {
+      // Without a job nothing holds the claim, the job releases it when it ends
+      if (!job) {
+        this.provisioning.delete(containerIdentifier);
+      }
+    }
+  }
+  
+  /**
+   * Describe what provisioning a validated plan would do without doing it.
+   * Secret values are masked in the rendered files.
+   */
+  async planCreate(plan, serviceConfig) {
+    const { instanceName, serviceName, containerIdentifier, subdomain, port, cpu, memory, envVars, secrets, imageTag, healthCheck, ownerId, cloneFrom } = plan;
+    const domain = `${subdomain}.${process.env.BASE_DOMAIN}`;
     
-    // Set default resources if not provided
-    const cpu = resources?.cpu || services[0].default_cpu;
-    const memory = resources?.memory || services[0].default_memory;
+    const envContent = await dockerService.generateEnvFile(instanceName, serviceName, subdomain, port, envVars, { cpu, memory, imageTag }, secrets);
+    const maskedEnv = envService.maskContent(envContent, serviceConfig, Object.keys(secrets));
     
-    // Create container via Docker
-    const containerInfo = await dockerService.createContainer(
-      instanceName,
-      serviceName,
+    return {
+      dryRun: true,
+      containerIdentifier,
       subdomain,
       port,
-      { cpu, memory }
-    );
+      url: `https://${domain}`,
+      ownerId: ownerId || null,
+      resources: { cpu, memory },
+      imageTag,
+      files: {
+        '.env': maskedEnv,
+        'docker-compose.yaml': await dockerService.renderCompose(serviceName, maskedEnv)
+      },
+      actions: [
+        ...(cloneFrom ? [{
+          step: 'data_copy',
+          action: 'data_copy',
+          from: `users/${cloneFrom.container_identifier}/data`,
+          to: `users/${containerIdentifier}/data`,
+          pauseSource: cloneFrom.status === 'running'
+        }] : []),
+        { step: 'compose_up', action: 'folder_create', path: `users/${containerIdentifier}/data` },
+        { step: 'compose_up', action: 'files_write', files: ['docker-compose.yaml', '.env'] },
+        { step: 'compose_up', action: 'compose_up', container: containerIdentifier, publish: `127.0.0.1:${port}` },
+        healthCheck
+          ? { step: 'health', action: 'health_wait', url: `http://127.0.0.1:${port}${healthCheck.path}`, expectedStatus: healthCheck.expectedStatus, retries: healthCheck.retries }
+          : { step: 'health', action: 'skip', reason: 'Service defines no healthCheck' },
+        ...proxyService.planSite(domain, port).map(action => ({ step: 'site', ...action })),
+        { step: 'ssl', action: 'certificate_request', provider: proxyService.name, domain, optional: true },
+        { step: 'db_record', action: 'db_insert', table: 'containers', port }
+      ]
+    };
+  }
+  
+  /**
+   * Provision a validated container step by step, rolling back on failure
+   */
+  async provisionContainer(plan, runner) {
+    const { instanceName, serviceName, containerIdentifier, subdomain, port, cpu, memory, envVars, secrets, imageTag, healthCheck, ownerId, cloneFrom } = plan;
+    const domain = `${subdomain}.${process.env.BASE_DOMAIN}`;
+    const subject = { owner_id: ownerId || null, container_identifier: containerIdentifier, instance_name: instanceName, service_name: serviceName, subdomain };
+    let dataCopied = false;
+    let containerInfo = null;
+    let site = null;
+    let certificate = null;
     
-    // Create FastPanel site with reverse proxy
-    let fastpanelSite = null;
     try {
-      fastpanelSite = await fastpanelService.createSite(subdomain, port);
+      // Clones start from a copy of the source data
+      if (cloneFrom) {
+        await runner.step('data_copy', () => dockerService.copyContainerData(cloneFrom.container_identifier, containerIdentifier));
+        dataCopied = true;
+      }
+      
+      // Create container via Docker
+      containerInfo = await runner.step('compose_up', () => dockerService.createContainer(
+        instanceName,
+        serviceName,
+        subdomain,
+        port,
+        { cpu, memory, envVars, secrets, imageTag, dataCopied }
+      ));
+      
+      // Only expose the instance once the app answers its health check
+      const health = await runner.step('health', () => healthCheck
+        ? healthService.waitUntilHealthy(port, healthCheck)
+        : { status: 'skipped' });
+      
+      // Create the reverse proxy site
+      site = await runner.step('site', () => proxyService.createSite(domain, port));
+      
+      // SSL is optional, the site still works over HTTP. The outcome is
+      // stored either way so failures show up and can be retried.
+      const ssl = await runner.step('ssl', async () => {
+        await proxyService.waitForDns();
+        certificate = await certificateService.request(domain, site.siteId);
+        if (certificate.status === 'failed') {
+          throw new Error(`SSL certificate could not be requested: ${certificate.error}`);
+        }
+        return certificate;
+      }, { optional: true });
+      
+      // Save to database
+      const id = await runner.step('db_record', async () => {
+        const [result] = await pool.query(
+          `INSERT INTO containers 
+           (container_id, container_identifier, instance_name, service_name, owner_id, subdomain, port, status, cpu_limit, memory_limit, image_tag, image_id, data_path, fastpanel_site_id) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, 'running', ?, ?, ?, ?, ?, ?)`,
+          [containerInfo.containerId, containerIdentifier, instanceName, serviceName, ownerId || null, subdomain, port, cpu, memory, imageTag, containerInfo.imageId || null, containerInfo.dataPath, site.siteId]
+        );
+        
+        // Assign reserved port to the container
+        await pool.query(
+          'UPDATE port_assignments SET is_available = FALSE, container_id = ? WHERE port = ?',
+          [result.insertId, port]
+        );
+        
+        // Persist custom variables so redeploys render them again
+        await envService.setVariables(result.insertId, envVars);
+        await secretService.saveSecrets(result.insertId, secrets);
+        
+        if (certificate) {
+          await certificateService.save(result.insertId, certificate);
+        }
+        
+        return result.insertId;
+      });
+      
+      await runner.setContainer(id);
+      
+      webhookService.emit('container.created', { ...subject, id }, {
+        jobId: runner.id,
+        port,
+        url: `https://${domain}`,
+        ssl: certificate?.status || null,
+        ...(cloneFrom && { clonedFrom: cloneFrom.id })
+      });
+      
+      return {
+        id,
+        ...containerInfo,
+        subdomain,
+        port,
+        url: `https://${domain}`,
+        health,
+        site: { ...site, ssl }
+      };
     } catch (error) {
-      // Rollback: delete container and folder if FastPanel fails
-      console.error('❌ FastPanel creation failed, rolling back...');
-      try {
-        await dockerService.deleteContainer(containerIdentifier);
-      } catch (cleanupError) {
-        console.error('⚠️  Cleanup error:', cleanupError.message);
+      webhookService.emit('container.failed', subject, { operation: 'create', jobId: runner.id, error: error.message });
+      
+      // Rollback: remove site, container and folder, release port
+      console.error('❌ Container provisioning failed, rolling back...');
+      
+      if (site) {
+        await proxyService.deleteSite(domain)
+          .catch(cleanupError => console.error('⚠️  Cleanup error:', cleanupError.message));
       }
-      throw new Error(`FastPanel site creation failed: ${error.message}`);
+      
+      if (containerInfo || dataCopied) {
+        await dockerService.deleteContainer(containerIdentifier)
+          .catch(cleanupError => console.error('⚠️  Cleanup error:', cleanupError.message));
+      }
+      
+      await this.releasePort(port)
+        .catch(cleanupError => console.error('⚠️  Cleanup error:', cleanupError.message));
+      
+      throw error;
     }
+  }
+  
+  /**
+   * Create a new instance from a copy of an existing one: same service, image
+   * tag, resources, custom variables and generated values, with its own
+   * port, site and copy of the data. References to the source domain in
+   * custom variables are moved to the new domain.
+   */
+  async cloneContainer(id, { instanceName, resources, ownerId, dryRun = false }, tenant) {
+    const source = await this.findContainer(id, tenant);
     
-    // Save to database
-    const [result] = await pool.query(
-      `INSERT INTO containers 
-       (container_id, container_identifier, instance_name, service_name, subdomain, port, status, cpu_limit, memory_limit, data_path, fastpanel_site_id) 
-       VALUES (?, ?, ?, ?, ?, ?, 'running', ?, ?, ?, ?)`,
-      [containerInfo.containerId, containerIdentifier, instanceName, serviceName, subdomain, port, cpu, memory, containerInfo.dataPath, fastpanelSite?.siteId]
+    const sourceDomain = `${source.subdomain}.${process.env.BASE_DOMAIN}`;
+    const domain = `${instanceName}-${source.service_name}.${process.env.BASE_DOMAIN}`;
+    const envVars = Object.fromEntries(
+      Object.entries(await envService.getVariables(source.id))
+        .map(([key, value]) => [key, typeof value === 'string' ? value.split(sourceDomain).join(domain) : value])
     );
     
-    // Mark port as used
-    await pool.query(
-      'UPDATE port_assignments SET is_available = FALSE, container_id = ? WHERE port = ?',
-      [result.insertId, port]
-    );
+    return this.createContainer({
+      instanceName,
+      serviceName: source.service_name,
+      resources: {
+        cpu: resources?.cpu || source.cpu_limit,
+        memory: resources?.memory || source.memory_limit,
+        envVars
+      },
+      version: source.image_tag,
+      ownerId: ownerId || source.owner_id,
+      cloneFrom: source,
+      dryRun
+    });
+  }
+  
+  /**
+   * Validate a Docker image tag (e.g. "1.64.0" or "latest")
+   */
+  validateImageTag(tag) {
+    if (typeof tag !== 'string' || !/^[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$/.test(tag)) {
+      throw new HttpError(400, `Invalid version '${tag}': must be a Docker image tag like 1.64.0 or latest`);
+    }
+  }
+  
+  /**
+   * Validate CPU (cores, e.g. "0.5") and memory (e.g. "512M", "2G") limits
+   */
+  validateResources({ cpu, memory }) {
+    const cpuValue = Number(cpu);
+    if (!/^\d+(\.\d+)?$/.test(String(cpu)) || cpuValue <= 0) {
+      throw new HttpError(400, `Invalid cpu '${cpu}': must be a positive number of cores`);
+    }
     
-    return {
-      id: result.insertId,
-      ...containerInfo,
-      subdomain,
-      port,
-      url: `https://${subdomain}.${process.env.BASE_DOMAIN}`,
-      fastpanel: fastpanelSite
-    };
+    const match = /^(\d+)([MG])$/i.exec(String(memory));
+    if (!match) {
+      throw new HttpError(400, `Invalid memory '${memory}': use a value like 512M or 2G`);
+    }
+    
+    const memoryMb = parseInt(match[1]) * (match[2].toUpperCase() === 'G' ? 1024 : 1);
+    if (memoryMb < 64) {
+      throw new HttpError(400, 'Memory must be at least 64M');
+    }
   }
   
   async getAvailablePort() {
@@ -103,136 +390,904 @@ class ContainerService {
     return ports[0].port;
   }
   
-  async stopContainer(id) {
-    const [containers] = await pool.query('SELECT * FROM containers WHERE id = ?', [id]);
+  /**
+   * Atomically mark the first available port as taken
+   */
+  async reservePort() {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const port = await this.getAvailablePort();
+      
+      const [result] = await pool.query(
+        'UPDATE port_assignments SET is_available = FALSE WHERE port = ? AND is_available = TRUE',
+        [port]
+      );
+      
+      if (result.affectedRows === 1) {
+        return port;
+      }
+    }
+    
+    throw new Error('Could not reserve a port, please retry');
+  }
+  
+  async releasePort(port) {
+    await pool.query(
+      'UPDATE port_assignments SET is_available = TRUE, container_id = NULL WHERE port = ?',
+      [port]
+    );
+  }
+  
+  /**
+   * Run an operation on a container as a job and notify webhook subscribers
+   * with `event` when it succeeds, or container.failed when it fails
+   */
+  startJob(type, container, steps, event, handler) {
+    return jobService.start(type, {
+      containerId: container.id,
+      ownerId: container.owner_id,
+      steps
+    }, async (runner) => {
+      try {
+        const result = await handler(runner);
+        webhookService.emit(event, container, { jobId: runner.id, ...result });
+        return result;
+      } catch (error) {
+        webhookService.emit('container.failed', container, { operation: type, jobId: runner.id, error: error.message });
+        throw error;
+      }
+    });
+  }
+  
+  /**
+   * Load a container row, scoped to the tenant unless it is an admin.
+   * Internal callers (no tenant) are not scoped.
+   */
+  async findContainer(id, tenant) {
+    let query = 'SELECT * FROM containers WHERE id = ?';
+    const params = [id];
+    
+    if (tenant && !tenantService.isAdmin(tenant)) {
+      query += ' AND owner_id = ?';
+      params.push(tenant.id);
+    }
+    
+    const [containers] = await pool.query(query, params);
     
     if (containers.length === 0) {
-      throw new Error('Container not found');
+      throw new HttpError(404, 'Container not found');
     }
     
-    const container = containers[0];
+    return containers[0];
+  }
+  
+  async stopContainer(id, tenant) {
+    const container = await this.findContainer(id, tenant);
     
     await dockerService.stopContainer(container.container_identifier);
     await pool.query('UPDATE containers SET status = "stopped" WHERE id = ?', [id]);
+    webhookService.emit('container.stopped', container);
     
     return { message: 'Container stopped successfully' };
   }
   
-  async startContainer(id) {
-    const [containers] = await pool.query('SELECT * FROM containers WHERE id = ?', [id]);
-    
-    if (containers.length === 0) {
-      throw new Error('Container not found');
-    }
-    
-    const container = containers[0];
+  async startContainer(id, tenant) {
+    const container = await this.findContainer(id, tenant);
     
     await dockerService.startContainer(container.container_identifier);
     await pool.query('UPDATE containers SET status = "running" WHERE id = ?', [id]);
+    webhookService.emit('container.started', container);
     
     return { message: 'Container started successfully' };
   }
   
-  async restartContainer(id) {
-    const [containers] = await pool.query('SELECT * FROM containers WHERE id = ?', [id]);
-    
-    if (containers.length === 0) {
-      throw new Error('Container not found');
-    }
-    
-    const container = containers[0];
+  async restartContainer(id, tenant) {
+    const container = await this.findContainer(id, tenant);
     
     await dockerService.restartContainer(container.container_identifier);
     await pool.query('UPDATE containers SET status = "running" WHERE id = ?', [id]);
+    webhookService.emit('container.restarted', container);
     
     return { message: 'Container restarted successfully' };
   }
   
-  async deleteContainer(id) {
-    const [containers] = await pool.query('SELECT * FROM containers WHERE id = ?', [id]);
+  /**
+   * Change CPU and memory limits: update .env, apply live with docker update
+   * and fall back to a redeploy if that is not possible
+   */
+  async updateResources(id, resources, tenant) {
+    const container = await this.findContainer(id, tenant);
+    const cpu = resources.cpu || container.cpu_limit;
+    const memory = resources.memory || container.memory_limit;
     
-    if (containers.length === 0) {
-      throw new Error('Container not found');
+    this.validateResources({ cpu, memory });
+    await quotaService.checkResources(container.owner_id, { cpu, memory }, { container });
+    
+    return this.startJob('resize', container, ['env_file', 'apply', 'db_record'], 'container.resized', async (runner) => {
+      await runner.step('env_file', () => dockerService.updateEnvFile(container.container_identifier, {
+        CPU_LIMIT: cpu,
+        MEMORY_LIMIT: memory
+      }));
+      
+      const applied = await runner.step('apply', async () => {
+        try {
+          await dockerService.updateResources(container.container_identifier, { cpu, memory });
+          return 'live';
+        } catch (error) {
+          console.warn(`⚠️  Live update of ${container.container_identifier} failed, redeploying:`, error.message);
+          await dockerService.redeployContainer(container.container_identifier);
+          return 'redeploy';
+        }
+      });
+      
+      await runner.step('db_record', () => pool.query(
+        'UPDATE containers SET cpu_limit = ?, memory_limit = ? WHERE id = ?',
+        [cpu, memory, container.id]
+      ));
+      
+      return { message: 'Container resources updated successfully', cpu, memory, applied };
+    });
+  }
+  
+  /**
+   * Re-render the instance .env from the service template and stored variables
+   */
+  async renderEnvFile(container) {
+    const envVars = await envService.getVariables(container.id);
+    const secrets = await this.getSecrets(container);
+    const content = await dockerService.generateEnvFile(
+      container.instance_name,
+      container.service_name,
+      container.subdomain,
+      container.port,
+      envVars,
+      { cpu: container.cpu_limit, memory: container.memory_limit, imageTag: container.image_tag },
+      secrets
+    );
+    
+    return dockerService.writeEnvFile(container.container_identifier, content);
+  }
+  
+  /**
+   * Stored values of generated template helpers. Helpers added to the
+   * template after creation get a value now, taken over from the instance
+   * data where config.json `adoptSecrets` says the app already keeps one;
+   * stored ones never change. Values in config.json `createOnlySecrets` are
+   * not added, they would change the behaviour of a running instance (e.g.
+   * turn on basic auth). With `save: false` new values are only returned.
+   */
+  async getSecrets(container, { save = true } = {}) {
+    const stored = await secretService.getSecrets(container.id);
+    const template = await dockerService.loadEnvTemplate(container.service_name);
+    const serviceConfig = await dockerService.loadServiceConfig(container.service_name);
+    const adopted = await this.adoptSecrets(container, stored, serviceConfig);
+    const secrets = secretService.generate(template, { ...adopted, ...stored }, { skip: serviceConfig.createOnlySecrets || [] });
+    
+    if (save && Object.keys(secrets).length > Object.keys(stored).length) {
+      await secretService.saveSecrets(container.id, secrets);
     }
     
-    const container = containers[0];
+    return secrets;
+  }
+  
+  /**
+   * Values the app generated itself before the template provided them,
+   * e.g. the encryption key n8n wrote to data/config on first start
+   */
+  async adoptSecrets(container, stored, serviceConfig) {
+    const adopted = {};
     
-    // Delete Docker container
-    await dockerService.deleteContainer(container.container_identifier);
+    for (const [key, source] of Object.entries(serviceConfig.adoptSecrets || {})) {
+      if (stored[key] !== undefined) {
+        continue;
+      }
+      
+      const content = await dockerService.readDataFile(container.container_identifier, source.file);
+      let value = null;
+      try {
+        value = content && JSON.parse(content)[source.jsonKey];
+      } catch (error) {
+        console.error(`⚠️  Could not read ${key} from ${source.file} of ${container.container_identifier}:`, error.message);
+      }
+      
+      if (typeof value === 'string' && value) {
+        adopted[key] = value;
+      }
+    }
+    
+    return adopted;
+  }
+  
+  async getEnvVars(id, tenant) {
+    const container = await this.findContainer(id, tenant);
+    const custom = await envService.getVariables(container.id);
+    const effective = await dockerService.readEnvFile(container.container_identifier);
+    const serviceConfig = await dockerService.loadServiceConfig(container.service_name);
+    const secrets = await secretService.getSecrets(container.id);
+    
+    return {
+      variables: envService.mask(effective, serviceConfig, Object.keys(secrets)),
+      custom: envService.mask(custom, serviceConfig)
+    };
+  }
+  
+  /**
+   * Set custom variables, re-render .env and optionally redeploy
+   */
+  async setEnvVars(id, variables, options, tenant) {
+    const container = await this.findContainer(id, tenant);
+    const custom = await envService.getVariables(container.id);
+    const serviceConfig = await dockerService.loadServiceConfig(container.service_name);
+    
+    envService.validate(serviceConfig, { ...custom, ...variables });
+    
+    await envService.setVariables(container.id, variables);
+    return this.applyEnvChange(container, options, tenant);
+  }
+  
+  async unsetEnvVar(id, key, options, tenant) {
+    const container = await this.findContainer(id, tenant);
+    const custom = await envService.getVariables(container.id);
+    const serviceConfig = await dockerService.loadServiceConfig(container.service_name);
+    
+    if (!(key in custom)) {
+      throw new HttpError(404, `Variable '${key}' is not set`);
+    }
+    
+    delete custom[key];
+    envService.validate(serviceConfig, custom);
+    
+    await envService.unsetVariable(container.id, key);
+    return this.applyEnvChange(container, options, tenant);
+  }
+  
+  async applyEnvChange(container, options = {}, tenant) {
+    await this.renderEnvFile(container);
+    
+    const custom = await envService.getVariables(container.id);
+    const serviceConfig = await dockerService.loadServiceConfig(container.service_name);
+    const result = {
+      message: options.redeploy
+        ? 'Environment updated, redeploying container'
+        : 'Environment updated, redeploy to apply changes',
+      custom: envService.mask(custom, serviceConfig)
+    };
+    
+    if (options.redeploy) {
+      result.job = await this.redeployContainer(container.id, tenant);
+    }
+    
+    webhookService.emit('container.env_updated', container, { keys: Object.keys(custom), redeploy: Boolean(options.redeploy) });
+    
+    return result;
+  }
+  
+  async listDomains(id, tenant) {
+    const container = await this.findContainer(id, tenant);
+    return domainService.listDomains(container.id);
+  }
+  
+  async addDomain(id, domain, mode, tenant) {
+    const container = await this.findContainer(id, tenant);
+    const result = await domainService.addDomain(container, domain, mode);
+    
+    webhookService.emit('container.domain_added', container, { domain: result.domain, mode: result.mode, ssl: result.ssl.status });
+    
+    return result;
+  }
+  
+  async removeDomain(id, domainId, tenant) {
+    const container = await this.findContainer(id, tenant);
+    const result = await domainService.removeDomain(container, domainId);
+    
+    webhookService.emit('container.domain_removed', container, { domain: result.domain });
+    
+    return result;
+  }
+  
+  /**
+   * Rename an instance and/or change its subdomain. Moves the instance
+   * directory, recreates the compose project and proxy site, and rolls
+   * back if any step fails before the database is updated.
+   */
+  async renameContainer(id, data, tenant) {
+    const container = await this.findContainer(id, tenant);
+    const instanceName = data.instanceName || container.instance_name;
+    
+    if (!/^[a-zA-Z0-9-]+$/.test(instanceName)) {
+      throw new HttpError(400, 'Instance name must contain only letters, numbers, and dashes');
+    }
+    
+    const containerIdentifier = `${instanceName}-${container.service_name}`;
+    const subdomain = data.subdomain || (data.instanceName ? containerIdentifier : container.subdomain);
+    
+    if (!/^[a-zA-Z0-9-]+$/.test(subdomain)) {
+      throw new HttpError(400, 'Subdomain must contain only letters, numbers, and dashes');
+    }
+    
+    if (containerIdentifier === container.container_identifier && subdomain === container.subdomain) {
+      throw new HttpError(400, 'Nothing to change');
+    }
+    
+    const [conflicts] = await pool.query(
+      `SELECT container_identifier, subdomain FROM containers
+       WHERE id != ? AND status != "deleted" AND (container_identifier = ? OR subdomain = ?)`,
+      [container.id, containerIdentifier, subdomain]
+    );
+    
+    if (conflicts.length > 0 || this.provisioning.has(containerIdentifier)) {
+      throw new HttpError(409, `Container '${containerIdentifier}' or subdomain '${subdomain}' already exists`);
+    }
+    
+    return this.startJob(
+      'rename',
+      container,
+      ['compose_down', 'move_dir', 'env_file', 'compose_up', 'site', 'db_record', 'old_site_remove'],
+      'container.renamed',
+      (runner) => this.performRename(container, { instanceName, containerIdentifier, subdomain }, runner)
+    );
+  }
+  
+  async performRename(container, target, runner) {
+    const { instanceName, containerIdentifier, subdomain } = target;
+    const renamed = {
+      ...container,
+      instance_name: instanceName,
+      container_identifier: containerIdentifier,
+      subdomain
+    };
+    const oldDomain = `${container.subdomain}.${process.env.BASE_DOMAIN}`;
+    const newDomain = `${subdomain}.${process.env.BASE_DOMAIN}`;
+    const subdomainChanged = subdomain !== container.subdomain;
+    const identifierChanged = containerIdentifier !== container.container_identifier;
+    const done = new Set();
     
-    // Delete FastPanel site
-    const domain = `${container.subdomain}.${process.env.BASE_DOMAIN}`;
     try {
-      await fastpanelService.deleteSite(domain);
+      await runner.step('compose_down', () => dockerService.composeDown(container.container_identifier));
+      done.add('compose_down');
+      
+      if (identifierChanged) {
+        await runner.step('move_dir', () => dockerService.moveContainerDir(container.container_identifier, containerIdentifier));
+        done.add('move_dir');
+      }
+      
+      await runner.step('env_file', () => this.renderEnvFile(renamed));
+      
+      const containerInfo = await runner.step('compose_up', () => dockerService.composeUp(containerIdentifier));
+      done.add('compose_up');
+      
+      let newSite = null;
+      if (subdomainChanged) {
+        newSite = await runner.step('site', async () => {
+          // Marked before the call, a failing createSite may leave its DNS domain
+          done.add('site');
+          const site = await proxyService.createSite(newDomain, container.port);
+          
+          // Move alias domains over to the new site
+          const domains = await domainService.listDomains(container.id);
+          for (const domain of domains.filter(d => d.mode === 'alias')) {
+            await proxyService.addAlias(newDomain, domain.domain);
+          }
+          
+          // Same as provisioning: a fresh subdomain needs DNS before issuance
+          await proxyService.waitForDns();
+          site.ssl = await certificateService.request(newDomain, site.siteId);
+          return site;
+        });
+      }
+      
+      await runner.step('db_record', () => pool.query(
+        `UPDATE containers SET container_id = ?, container_identifier = ?, instance_name = ?, subdomain = ?,
+         data_path = ?, fastpanel_site_id = ?, status = "running" WHERE id = ?`,
+        [
+          containerInfo.containerId,
+          containerIdentifier,
+          instanceName,
+          subdomain,
+          containerInfo.dataPath,
+          newSite ? newSite.siteId : container.fastpanel_site_id,
+          container.id
+        ]
+      ));
     } catch (error) {
-      console.error('FastPanel deletion failed:', error.message);
-      // Continue anyway, container is already deleted
+      console.error('❌ Rename failed, rolling back...');
+      await this.rollbackRename(container, target, done)
+        .catch(rollbackError => console.error('⚠️  Rollback error:', rollbackError.message));
+      throw error;
+    }
+    
+    // New site is live, old one is no longer needed
+    if (subdomainChanged) {
+      await certificateService.save(container.id, newSite.ssl);
+      await runner.step('old_site_remove', () => proxyService.deleteSite(oldDomain), { optional: true });
+    }
+    
+    return {
+      message: 'Container renamed successfully',
+      containerIdentifier,
+      subdomain,
+      url: `https://${newDomain}`
+    };
+  }
+  
+  async rollbackRename(container, target, done) {
+    if (done.has('site')) {
+      await proxyService.deleteSite(`${target.subdomain}.${process.env.BASE_DOMAIN}`, { removeDns: true })
+        .catch(error => console.error('⚠️  Cleanup error:', error.message));
+    }
+    
+    if (done.has('compose_up')) {
+      await dockerService.composeDown(target.containerIdentifier)
+        .catch(error => console.error('⚠️  Cleanup error:', error.message));
+    }
+    
+    if (done.has('move_dir')) {
+      await dockerService.moveContainerDir(target.containerIdentifier, container.container_identifier);
+    }
+    
+    if (done.has('compose_down')) {
+      await this.renderEnvFile(container);
+      await dockerService.composeUp(container.container_identifier);
     }
+  }
+  
+  async deleteContainer(id, tenant, { dryRun = false } = {}) {
+    const container = await this.findContainer(id, tenant);
+    
+    if (dryRun) {
+      return this.planDelete(container);
+    }
+    
+    return this.startJob(
+      'delete',
+      container,
+      ['docker_remove', 'domains_remove', 'site_remove', 'release_port', 'db_record'],
+      'container.deleted',
+      (runner) => this.removeContainer(container, runner)
+    );
+  }
+  
+  /**
+   * Describe what deleting a container would do without doing it
+   */
+  async planDelete(container) {
+    const domain = `${container.subdomain}.${process.env.BASE_DOMAIN}`;
+    const domains = await domainService.listDomains(container.id);
+    const provider = proxyService.name;
+    
+    return {
+      dryRun: true,
+      containerId: container.id,
+      containerIdentifier: container.container_identifier,
+      actions: [
+        { step: 'docker_remove', action: 'compose_down', container: container.container_identifier, removeVolumes: true },
+        { step: 'docker_remove', action: 'folder_remove', path: `users/${container.container_identifier}`, dataPath: container.data_path },
+        ...domains.map(d => d.mode === 'site'
+          ? { step: 'domains_remove', action: 'site_delete', provider, domain: d.domain }
+          : { step: 'domains_remove', action: 'alias_remove', provider, domain, alias: d.domain }),
+        { step: 'site_remove', action: 'site_delete', provider, domain },
+        { step: 'release_port', action: 'port_release', port: container.port },
+        { step: 'db_record', action: 'db_update', table: 'containers', status: 'deleted' }
+      ]
+    };
+  }
+  
+  async removeContainer(container, runner = jobService.inline()) {
+    // Delete Docker container
+    await runner.step('docker_remove', () => dockerService.deleteContainer(container.container_identifier));
+    
+    // Delete custom domains and proxy site, continue anyway since the container is already deleted
+    await runner.step('domains_remove', () => domainService.removeAllDomains(container), { optional: true });
+    const domain = `${container.subdomain}.${process.env.BASE_DOMAIN}`;
+    await runner.step('site_remove', () => proxyService.deleteSite(domain), { optional: true });
     
     // Free up the port
-    await pool.query(
+    await runner.step('release_port', () => pool.query(
       'UPDATE port_assignments SET is_available = TRUE, container_id = NULL WHERE container_id = ?',
-      [id]
-    );
+      [container.id]
+    ));
     
     // Mark as deleted
-    await pool.query('UPDATE containers SET status = "deleted" WHERE id = ?', [id]);
+    await runner.step('db_record', () => pool.query('UPDATE containers SET status = "deleted" WHERE id = ?', [container.id]));
     
     return { message: 'Container deleted successfully' };
   }
   
-  async redeployContainer(id) {
-    const [containers] = await pool.query('SELECT * FROM containers WHERE id = ?', [id]);
+  async redeployContainer(id, tenant) {
+    const container = await this.findContainer(id, tenant);
     
-    if (containers.length === 0) {
-      throw new Error('Container not found');
+    return this.startJob('redeploy', container, ['env_file', 'compose_redeploy', 'db_record'], 'container.redeployed', async (runner) => {
+      await runner.step('env_file', () => this.renderEnvFile(container));
+      await runner.step('compose_redeploy', () => dockerService.redeployContainer(container.container_identifier));
+      await runner.step('db_record', () => pool.query('UPDATE containers SET status = "running" WHERE id = ?', [container.id]));
+      
+      return { message: 'Container redeployed successfully' };
+    });
+  }
+  
+  /**
+   * Switch a container to another image tag. The data is backed up while the
+   * container is down, and the previous tag, compose file and data are put
+   * back if the new version does not come up healthy.
+   */
+  async upgradeContainer(id, { version }, tenant) {
+    const container = await this.findContainer(id, tenant);
+    this.validateImageTag(version);
+    
+    if (!await dockerService.usesImageTag(container.service_name)) {
+      throw new HttpError(409, `The ${container.service_name} docker-compose.yaml does not use \${IMAGE_TAG}, its version cannot be changed`);
     }
     
-    const container = containers[0];
+    await quotaService.checkBackups(container.owner_id);
     
-    await dockerService.redeployContainer(container.container_identifier);
-    await pool.query('UPDATE containers SET status = "running" WHERE id = ?', [id]);
+    const serviceConfig = await dockerService.loadServiceConfig(container.service_name);
+    const target = {
+      version,
+      previousVersion: container.image_tag || serviceConfig.version || 'latest',
+      healthCheck: healthService.getDefinition(serviceConfig)
+    };
     
-    return { message: 'Container redeployed successfully' };
+    return this.startJob(
+      'upgrade',
+      container,
+      ['compose_file', 'pull', 'compose_down', 'archive', 'catalog', 'retention', 'compose_up', 'health', 'db_record'],
+      'container.upgraded',
+      (runner) => this.performUpgrade(container, target, runner)
+    );
   }
   
-  async backupContainer(id) {
-    const [containers] = await pool.query('SELECT * FROM containers WHERE id = ?', [id]);
+  async performUpgrade(container, target, runner) {
+    const { version, previousVersion, healthCheck } = target;
+    const identifier = container.container_identifier;
+    const state = { previousCompose: null, previousImage: null, backup: null, done: new Set() };
     
-    if (containers.length === 0) {
-      throw new Error('Container not found');
+    try {
+      // New images are pulled while the current version keeps running
+      await runner.step('compose_file', async () => {
+        // Image the current version runs, the pull may move a tag like latest
+        const current = await dockerService.getContainerStatus(identifier);
+        const imageId = current.imageId || container.image_id;
+        state.previousImage = current.image && imageId ? { reference: current.image, imageId } : null;
+        
+        state.previousCompose = await dockerService.refreshComposeFile(identifier, container.service_name);
+        state.done.add('compose_file');
+        await this.renderEnvFile({ ...container, image_tag: version });
+      });
+      
+      await runner.step('pull', () => dockerService.pullImages(identifier));
+      
+      await runner.step('compose_down', () => dockerService.composeDown(identifier));
+      state.done.add('compose_down');
+      
+      state.backup = await this.performBackup(container, runner);
+      
+      const containerInfo = await runner.step('compose_up', () => dockerService.composeUp(identifier));
+      
+      const health = await runner.step('health', async () => {
+        if (healthCheck) {
+          return healthService.waitUntilHealthy(container.port, healthCheck);
+        }
+        
+        if (!await dockerService.waitForRunning(identifier)) {
+          throw new Error('Container did not come up with the new version');
+        }
+        return { status: 'running' };
+      });
+      
+      await runner.step('db_record', () => pool.query(
+        'UPDATE containers SET image_tag = ?, image_id = ?, container_id = ?, status = "running" WHERE id = ?',
+        [version, containerInfo.imageId || null, containerInfo.containerId, container.id]
+      ));
+      
+      return {
+        message: `Container upgraded to ${version}`,
+        version,
+        previousVersion,
+        backupId: state.backup.id,
+        health
+      };
+    } catch (error) {
+      console.error('❌ Upgrade failed, rolling back...');
+      
+      try {
+        await runner.step('rollback', () => this.rollbackUpgrade(container, state));
+      } catch (rollbackError) {
+        console.error('⚠️  Rollback error:', rollbackError.message);
+        throw new Error(`Upgrade to ${version} failed (${error.message}) and rollback failed: ${rollbackError.message}`);
+      }
+      
+      throw new Error(`Upgrade to ${version} failed, ${previousVersion} restored: ${error.message}`);
+    }
+  }
+  
+  async rollbackUpgrade(container, { previousCompose, previousImage, backup, done }) {
+    const identifier = container.container_identifier;
+    
+    if (done.has('compose_file')) {
+      await dockerService.writeComposeFile(identifier, previousCompose);
+      await this.renderEnvFile(container);
+      
+      // Start the image the container ran before, not what the tag points to now
+      if (previousImage) {
+        await dockerService.tagImage(previousImage.imageId, previousImage.reference)
+          .catch(error => console.error(`⚠️  Could not tag ${previousImage.imageId} as ${previousImage.reference}:`, error.message));
+      }
+    }
+    
+    if (!done.has('compose_down')) {
+      return;
+    }
+    
+    // The new version may already have migrated the data
+    if (backup) {
+      await dockerService.restoreContainer(identifier, backup.backupFile);
+    } else {
+      await dockerService.composeUp(identifier);
     }
     
-    const container = containers[0];
-    const backup = await dockerService.backupContainer(container.container_identifier);
+    await pool.query('UPDATE containers SET status = "running" WHERE id = ?', [container.id]);
+  }
+  
+  async backupContainer(id, tenant) {
+    const container = await this.findContainer(id, tenant);
+    await quotaService.checkBackups(container.owner_id);
+    
+    return this.startJob(
+      'backup',
+      container,
+      ['archive', 'catalog', 'retention'],
+      'container.backup_completed',
+      (runner) => this.performBackup(container, runner)
+    );
+  }
+  
+  /**
+   * Archive container data, record it in the catalog and apply retention
+   */
+  async performBackup(container, runner = jobService.inline()) {
+    // Checked again for scheduled backups, which do not go through backupContainer
+    await quotaService.checkBackups(container.owner_id);
+    
+    const backup = await runner.step('archive', () => dockerService.backupContainer(container.container_identifier));
+    const record = await runner.step('catalog', () => backupService.recordBackup(container, backup));
+    
+    // Prune old archives according to retention policy
+    const pruned = await runner.step('retention', () => backupService.applyRetention(container), { optional: true });
     
     return {
       message: 'Backup created successfully',
-      ...backup
+      ...record,
+      pruned: pruned || []
     };
   }
   
-  async getContainerStatus(id) {
-    const [containers] = await pool.query('SELECT * FROM containers WHERE id = ?', [id]);
+  async listBackups(id, tenant) {
+    const container = await this.findContainer(id, tenant);
+    return backupService.listBackups(container.id);
+  }
+  
+  async getBackup(id, backupId, tenant) {
+    const container = await this.findContainer(id, tenant);
+    return backupService.getBackup(container.id, backupId);
+  }
+  
+  async deleteBackup(id, backupId, tenant) {
+    const container = await this.findContainer(id, tenant);
+    return backupService.deleteBackup(container.id, backupId);
+  }
+  
+  async getRetentionPolicy(id, tenant) {
+    const container = await this.findContainer(id, tenant);
+    const policy = await backupService.getRetentionPolicy(container);
     
-    if (containers.length === 0) {
-      throw new Error('Container not found');
+    return {
+      keepLast: policy?.keep_last ?? null,
+      keepDailyDays: policy?.keep_daily_days ?? null,
+      source: policy ? (policy.container_id ? 'container' : 'service') : null
+    };
+  }
+  
+  async setRetentionPolicy(id, policy, tenant) {
+    const container = await this.findContainer(id, tenant);
+    const result = await backupService.setRetentionPolicy({ containerId: container.id }, policy);
+    const pruned = await backupService.applyRetention(container);
+    
+    return { ...result, pruned };
+  }
+  
+  async getBackupSchedule(id, tenant) {
+    const container = await this.findContainer(id, tenant);
+    const schedule = await backupService.resolveSchedule(container);
+    const recentRuns = await backupService.listRuns(container.id, 10);
+    
+    return { ...schedule, recentRuns };
+  }
+  
+  async setBackupSchedule(id, schedule, tenant) {
+    const container = await this.findContainer(id, tenant);
+    return backupService.setSchedule(container.id, schedule);
+  }
+  
+  async resetBackupSchedule(id, tenant) {
+    const container = await this.findContainer(id, tenant);
+    await backupService.deleteSchedule(container.id);
+    
+    return backupService.resolveSchedule(container);
+  }
+  
+  async listBackupRuns(id, limit, tenant) {
+    const container = await this.findContainer(id, tenant);
+    return backupService.listRuns(container.id, limit);
+  }
+  
+  /**
+   * Effective backup schedule and last run of every container
+   */
+  async listBackupSchedules(filters = {}, tenant) {
+    const containers = await this.listContainers(filters, tenant);
+    const schedules = [];
+    
+    for (const container of containers) {
+      const schedule = await backupService.resolveSchedule(container);
+      const [lastRun] = await backupService.listRuns(container.id, 1);
+      
+      const lastStatus = lastRun?.status || null;
+      if (filters.lastStatus && filters.lastStatus !== lastStatus) {
+        continue;
+      }
+      
+      schedules.push({
+        containerId: container.id,
+        containerIdentifier: container.container_identifier,
+        ...schedule,
+        lastRun: lastRun || null
+      });
+    }
+    
+    return schedules;
+  }
+  
+  /**
+   * Restore from a catalog backup id, or a backup file name in backups/
+   */
+  async restoreContainer(id, backup, tenant) {
+    const container = await this.findContainer(id, tenant);
+    
+    let backupFile;
+    if (backup.backupId) {
+      const record = await backupService.getBackup(container.id, backup.backupId);
+      backupFile = record.file_path;
+    } else {
+      // Cataloged files are found by name, also when taken before a rename
+      const record = await backupService.findBackupByFile(container.id, path.basename(backup.backupFile || ''));
+      backupFile = record
+        ? record.file_path
+        : dockerService.resolveBackupFile(container.container_identifier, backup.backupFile);
+    }
+    
+    let restore;
+    try {
+      restore = await dockerService.restoreContainer(container.container_identifier, backupFile);
+    } catch (error) {
+      webhookService.emit('container.failed', container, { operation: 'restore', error: error.message });
+      throw error;
     }
     
-    const container = containers[0];
+    await pool.query('UPDATE containers SET status = "running" WHERE id = ?', [id]);
+    webhookService.emit('container.restored', container, { backupId: backup.backupId || null, backupFile: path.basename(backupFile) });
+    
+    return {
+      message: 'Container restored successfully',
+      ...restore
+    };
+  }
+  
+  async getContainerStatus(id, tenant) {
+    const container = await this.findContainer(id, tenant);
     
     const dockerStatus = await dockerService.getContainerStatus(container.container_identifier);
+    const runtime = await dockerEvents.getRuntime(container.id);
+    const appHealth = await this.getAppHealth(container, dockerStatus);
+    const ssl = certificateService.describe(await certificateService.getCertificate(container.id));
     
     return {
       ...container,
-      dockerStatus
+      dockerStatus,
+      runtime,
+      appHealth,
+      ssl,
+      warnings: ssl.warnings
     };
   }
   
-  async listContainers(filters = {}) {
+  /**
+   * Probe the health check of the service on the published port. `unknown`
+   * when the service defines none, `down` when the container is not running.
+   */
+  async getAppHealth(container, dockerStatus) {
+    const definition = healthService.getDefinition(await dockerService.loadServiceConfig(container.service_name));
+    
+    if (!definition) {
+      return { status: 'unknown', error: 'Service defines no healthCheck' };
+    }
+    
+    if (!dockerStatus.running) {
+      return { status: 'down', error: `Container is ${dockerStatus.status}` };
+    }
+    
+    return healthService.probe(container.port, definition);
+  }
+  
+  /**
+   * Request the certificate of the primary domain again. Certificates that
+   * are issued and not close to expiry are only replaced with `force`.
+   */
+  async retryCertificate(id, tenant, { force = false } = {}) {
+    const container = await this.findContainer(id, tenant);
+    const current = await certificateService.getCertificate(container.id);
+    
+    if (current?.status === 'pending' && !force) {
+      throw new HttpError(409, 'Certificate is still being issued, retry later or use force=true');
+    }
+    
+    if (!certificateService.needsRenewal(current) && !force) {
+      throw new HttpError(409, `Certificate is already issued and valid until ${current.expiresAt}, use force=true to request a new one`);
+    }
+    
+    const domain = `${container.subdomain}.${process.env.BASE_DOMAIN}`;
+    const certificate = await certificateService.issue(container.id, domain, container.fastpanel_site_id);
+    
+    if (certificate.status === 'failed') {
+      throw new HttpError(502, `Certificate request failed: ${certificate.error}`);
+    }
+    
+    return certificateService.describe(await certificateService.getCertificate(container.id));
+  }
+  
+  /**
+   * Current resource usage, with CPU and memory relative to the limits
+   */
+  async getContainerStats(id, tenant) {
+    const container = await this.findContainer(id, tenant);
+    
+    if (container.status !== 'running') {
+      throw new HttpError(409, `Container is ${container.status}, stats are only available while running`);
+    }
+    
+    const stats = await dockerService.getContainerStats(container.container_identifier);
+    const cpuLimit = parseFloat(container.cpu_limit);
+    
+    return {
+      containerId: container.id,
+      ...stats,
+      cpuLimit: container.cpu_limit,
+      memoryLimit: container.memory_limit,
+      cpuPercentOfLimit: cpuLimit > 0 ? Number((stats.cpuPercent / cpuLimit).toFixed(2)) : null,
+      memoryPercentOfLimit: stats.memoryLimitBytes ? Number((stats.memoryBytes / stats.memoryLimitBytes * 100).toFixed(2)) : null
+    };
+  }
+  
+  async getStatsHistory(id, query, tenant) {
+    const container = await this.findContainer(id, tenant);
+    
+    return statsService.getHistory(container.id, {
+      from: this.parseTime(query, 'from'),
+      to: this.parseTime(query, 'to'),
+      resolution: query.resolution
+    });
+  }
+  
+  async listContainers(filters = {}, tenant) {
     let query = 'SELECT * FROM containers WHERE status != "deleted"';
     const params = [];
     
+    if (tenant && !tenantService.isAdmin(tenant)) {
+      query += ' AND owner_id = ?';
+      params.push(tenant.id);
+    } else if (filters.ownerId) {
+      query += ' AND owner_id = ?';
+      params.push(filters.ownerId);
+    }
+    
     if (filters.instanceName) {
       query += ' AND instance_name = ?';
       params.push(filters.instanceName);
@@ -251,23 +1306,98 @@ class ContainerService {
     query += ' ORDER BY created_at DESC';
     
     const [containers] = await pool.query(query, params);
-    return containers;
+    const certificates = await certificateService.describeMany(containers.map(c => c.id));
+    
+    return containers.map(container => ({ ...container, ssl: certificates.get(container.id) }));
   }
   
-  async getContainerLogs(id, lines = 100) {
-    const [containers] = await pool.query('SELECT * FROM containers WHERE id = ?', [id]);
+  /**
+   * Parse log filters from query parameters. `since` and `until` accept
+   * Unix seconds or ISO dates, `stream` is stdout, stderr or all.
+   */
+  parseLogOptions(query = {}) {
+    const stream = query.stream || 'all';
+    if (!['all', 'stdout', 'stderr'].includes(stream)) {
+      throw new HttpError(400, 'stream must be one of: all, stdout, stderr');
+    }
     
-    if (containers.length === 0) {
-      throw new Error('Container not found');
+    const options = {
+      since: this.parseTime(query, 'since'),
+      until: this.parseTime(query, 'until'),
+      timestamps: query.timestamps === 'true',
+      stdout: stream !== 'stderr',
+      stderr: stream !== 'stdout'
+    };
+    
+    if (query.lines !== undefined) {
+      options.tail = parseInt(query.lines) || 100;
+    }
+    
+    return options;
+  }
+  
+  /**
+   * Parse a time query parameter given as Unix seconds or ISO date
+   */
+  parseTime(query, name) {
+    const value = query[name];
+    if (value === undefined || value === '') {
+      return undefined;
+    }
+    
+    const seconds = /^\d+$/.test(value) ? parseInt(value) : Math.floor(Date.parse(value) / 1000);
+    if (!Number.isFinite(seconds)) {
+      throw new HttpError(400, `${name} must be Unix seconds or an ISO date`);
     }
     
-    const container = containers[0];
+    return seconds;
+  }
+  
+  async getContainerLogs(id, options, tenant) {
+    const container = await this.findContainer(id, tenant);
     
-    const logs = await dockerService.getContainerLogs(container.container_identifier, lines);
+    const logs = await dockerService.getContainerLogs(container.container_identifier, { tail: 100, ...options });
     
     return { logs };
   }
   
+  /**
+   * Follow the logs of a container, see DockerService.followContainerLogs
+   */
+  async followContainerLogs(id, options, handlers, tenant) {
+    const container = await this.findContainer(id, tenant);
+    
+    // Without a start time only the recent history is replayed
+    const tail = options.since ? 'all' : 100;
+    return dockerService.followContainerLogs(container.container_identifier, { tail, ...options }, handlers);
+  }
+  
+  async getService(name) {
+    const [services] = await pool.query('SELECT * FROM services WHERE name = ?', [name]);
+    
+    if (services.length === 0) {
+      throw new HttpError(404, `Service '${name}' not found`);
+    }
+    
+    return services[0];
+  }
+  
+  async getServiceRetentionPolicy(serviceName) {
+    await this.getService(serviceName);
+    const policy = await backupService.getServiceRetentionPolicy(serviceName);
+    
+    return {
+      serviceName,
+      keepLast: policy?.keep_last ?? null,
+      keepDailyDays: policy?.keep_daily_days ?? null
+    };
+  }
+  
+  async setServiceRetentionPolicy(serviceName, policy) {
+    await this.getService(serviceName);
+    return backupService.setRetentionPolicy({ serviceName }, policy);
+  }
+  
   async listServices() {
     const [services] = await pool.query('SELECT * FROM services ORDER BY name');
     return services;
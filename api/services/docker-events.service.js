@@ -0,0 +1,251 @@
+const { pool } = require('../config/database');
+const dockerService = require('./docker.service');
+
+// Docker actions that change the state of a container we track
+const ACTIONS = new Set(['start', 'restart', 'die', 'oom', 'stop', 'health_status']);
+
+class DockerEventsService {
+  constructor() {
+    this.stream = null;
+    this.reconnectTimer = null;
+    this.stopped = true;
+    this.retryDelay = 1000;
+    this.maxRetryDelay = parseInt(process.env.DOCKER_EVENTS_MAX_RECONNECT_SECONDS || '60') * 1000;
+    // Events are applied one after another so a quick die/start pair ends in the right state
+    this.queue = Promise.resolve();
+  }
+  
+  /**
+   * Follow the Docker event stream and keep containers.status, exit codes
+   * and restart counts current (DOCKER_EVENTS_ENABLED=false disables).
+   * Reconnects with exponential backoff when the Docker socket drops.
+   */
+  start() {
+    if (process.env.DOCKER_EVENTS_ENABLED === 'false') {
+      return;
+    }
+    
+    this.stopped = false;
+    this.connect();
+  }
+  
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    
+    if (this.stream) {
+      this.stream.destroy();
+      this.stream = null;
+    }
+  }
+  
+  async connect() {
+    this.reconnectTimer = null;
+    
+    let stream;
+    try {
+      stream = await dockerService.getContainerEvents();
+    } catch (error) {
+      console.error('❌ Could not subscribe to Docker events:', error.message);
+      return this.scheduleReconnect();
+    }
+    
+    if (this.stopped) {
+      return stream.destroy();
+    }
+    
+    this.stream = stream;
+    this.retryDelay = 1000;
+    
+    let buffer = '';
+    let closed = false;
+    
+    stream.on('data', (chunk) => {
+      buffer += chunk.toString('utf-8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      
+      for (const line of lines.filter(line => line.trim())) {
+        try {
+          const event = JSON.parse(line);
+          this.enqueue(() => this.handleEvent(event));
+        } catch (error) {
+          console.error('⚠️  Ignoring malformed Docker event:', error.message);
+        }
+      }
+    });
+    
+    const onClose = (error) => {
+      if (closed) {
+        return;
+      }
+      
+      closed = true;
+      this.stream = null;
+      
+      if (!this.stopped) {
+        console.error(`⚠️  Docker event stream closed${error ? `: ${error.message}` : ''}`);
+        this.scheduleReconnect();
+      }
+    };
+    
+    stream.on('error', onClose);
+    stream.on('end', () => onClose());
+    stream.on('close', () => onClose());
+    
+    console.log('🐳 Following Docker events');
+    
+    // Catch up with everything that happened while we were not listening
+    this.enqueue(() => this.syncAll());
+  }
+  
+  scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer) {
+      return;
+    }
+    
+    const delay = this.retryDelay;
+    this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+    
+    console.log(`🔌 Reconnecting to Docker events in ${delay / 1000}s`);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+  
+  enqueue(task) {
+    this.queue = this.queue
+      .then(task)
+      .catch(error => console.error('❌ Docker event sync failed:', error.message));
+  }
+  
+  async handleEvent(event) {
+    // Health events come as "health_status: healthy"
+    const action = (event.Action || '').split(':')[0];
+    
+    if (event.Type !== 'container' || !ACTIONS.has(action)) {
+      return;
+    }
+    
+    const attributes = event.Actor?.Attributes || {};
+    const identifier = dockerService.getManagedIdentifier(attributes);
+    
+    if (!identifier) {
+      return;
+    }
+    
+    const [rows] = await pool.query(
+      'SELECT id, container_id, container_identifier, status FROM containers WHERE container_identifier = ? AND status != "deleted"',
+      [identifier]
+    );
+    
+    if (rows.length === 0) {
+      return;
+    }
+    
+    const state = await dockerService.getContainerStatus(event.Actor.ID);
+    
+    if (action === 'die' && state.status === 'not_found') {
+      // Removed right after it stopped (compose down), the event still has the exit code
+      state.exitCode = parseInt(attributes.exitCode);
+    }
+    
+    await this.apply(rows[0], state, action, new Date(event.time * 1000));
+  }
+  
+  /**
+   * Inspect every managed container and store its current state
+   */
+  async syncAll() {
+    const [containers] = await pool.query(
+      'SELECT id, container_id, container_identifier, status FROM containers WHERE status != "deleted"'
+    );
+    
+    for (const container of containers) {
+      const state = await dockerService.getContainerStatus(container.container_identifier);
+      
+      if (state.status !== 'not_found') {
+        await this.apply(container, state, 'sync', new Date());
+      }
+    }
+  }
+  
+  async apply(container, state, action, eventTime) {
+    const status = state.running ? 'running' : 'stopped';
+    
+    const containerId = state.containerId || container.container_id;
+    
+    if (container.status !== status || container.container_id !== containerId) {
+      await pool.query(
+        'UPDATE containers SET status = ?, container_id = ? WHERE id = ? AND status != "deleted"',
+        [status, containerId, container.id]
+      );
+    }
+    
+    if (container.status !== status) {
+      console.log(`🐳 ${container.container_identifier} is now ${status} (${action})`);
+    }
+    
+    if (action === 'oom') {
+      console.error(`⚠️  ${container.container_identifier} ran out of memory`);
+    } else if (action === 'die' && state.exitCode && !state.oomKilled) {
+      console.error(`⚠️  ${container.container_identifier} exited with code ${state.exitCode}`);
+    }
+    
+    // Exit code and OOM flag describe the last exit, a restart keeps them
+    const exited = !state.running && state.status !== 'created';
+    
+    await pool.query(
+      `INSERT INTO container_runtime
+       (container_id, docker_status, health, exit_code, oom_killed, restart_count, last_event, last_event_at, started_at, finished_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE docker_status = VALUES(docker_status), health = VALUES(health),
+         exit_code = COALESCE(VALUES(exit_code), exit_code), oom_killed = COALESCE(VALUES(oom_killed), oom_killed),
+         restart_count = COALESCE(VALUES(restart_count), restart_count), last_event = VALUES(last_event),
+         last_event_at = VALUES(last_event_at), started_at = COALESCE(VALUES(started_at), started_at),
+         finished_at = COALESCE(VALUES(finished_at), finished_at)`,
+      [
+        container.id,
+        state.status === 'not_found' ? 'removed' : state.status,
+        state.health || null,
+        exited && Number.isInteger(state.exitCode) ? state.exitCode : null,
+        action === 'oom' ? true : exited ? Boolean(state.oomKilled) : null,
+        state.restartCount ?? null,
+        action,
+        eventTime,
+        this.toDate(state.startedAt),
+        this.toDate(state.finishedAt)
+      ]
+    );
+  }
+  
+  /**
+   * Docker reports timestamps that were never set as 0001-01-01
+   */
+  toDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && date.getFullYear() > 1970 ? date : null;
+  }
+  
+  async getRuntime(containerId) {
+    const [rows] = await pool.query('SELECT * FROM container_runtime WHERE container_id = ?', [containerId]);
+    
+    if (rows.length === 0) {
+      return null;
+    }
+    
+    const row = rows[0];
+    return {
+      dockerStatus: row.docker_status,
+      health: row.health,
+      exitCode: row.exit_code,
+      oomKilled: Boolean(row.oom_killed),
+      restartCount: row.restart_count,
+      lastEvent: row.last_event,
+      lastEventAt: row.last_event_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
+}
+
+module.exports = new DockerEventsService();
@@ -3,7 +3,11 @@ const fs = require('fs').promises;
 const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const { PassThrough } = require('stream');
 const archiver = require('archiver');
+const envService = require('./env.service');
+const secretService = require('./secret.service');
+const HttpError = require('../utils/http-error');
 
 const execAsync = promisify(exec);
 const docker = new Docker({ socketPath: process.env.DOCKER_SOCKET || '/var/run/docker.sock' });
@@ -15,20 +19,21 @@ class DockerService {
     const containerDir = path.join(process.cwd(), 'users', containerIdentifier);
     const dataDir = path.join(containerDir, 'data');
     
+    // An existing directory belongs to another instance and is neither taken
+    // over nor cleaned up. Clones bring the directory their data was copied to.
+    if (!resources?.dataCopied) {
+      await fs.mkdir(containerDir).catch(error => {
+        throw error.code === 'EEXIST' ? new Error(`Directory users/${containerIdentifier} already exists`) : error;
+      });
+    }
+    
     try {
       // Create container directory structure
-      await fs.mkdir(containerDir, { recursive: true });
       await fs.mkdir(dataDir, { recursive: true });
       
-      // Set permission for data directory (Linux/Mac only)
+      // Set permission for data directory
       // n8n runs as user 'node' with UID 1000
-      if (process.platform !== 'win32') {
-        try {
-          await execAsync(`chown -R 1000:1000 "${dataDir}"`);
-        } catch (error) {
-          console.warn('⚠️  Could not set data directory permissions:', error.message);
-        }
-      }
+      await this.setDataOwnership(dataDir);
       
       // Copy docker-compose and .env from template
       const templateDir = path.join(process.cwd(), 'services', serviceName);
@@ -39,7 +44,7 @@ class DockerService {
       
       // Generate .env file
       const customVars = resources?.envVars || {};
-      const envContent = await this.generateEnvFile(instanceName, serviceName, subdomain, port, customVars);
+      const envContent = await this.generateEnvFile(instanceName, serviceName, subdomain, port, customVars, resources, resources?.secrets);
       await fs.writeFile(path.join(containerDir, '.env'), envContent);
       
       // Start container using docker-compose
@@ -60,6 +65,7 @@ class DockerService {
       
       return {
         containerId: containers[0].Id,
+        imageId: containers[0].ImageID,
         containerIdentifier,
         dataPath: dataDir,
         status: containers[0].State
@@ -67,20 +73,23 @@ class DockerService {
     } catch (error) {
       // Cleanup on error
       console.error('❌ Container creation failed, cleaning up...');
-      await this.cleanupFailedContainer(containerIdentifier, containerDir);
+      await this.cleanupFailedContainer(containerDir);
       throw error;
     }
   }
   
-  async cleanupFailedContainer(containerIdentifier, containerDir) {
+  async cleanupFailedContainer(containerDir) {
     try {
-      // Try to stop and remove container if it exists
+      // Remove what compose started from this directory. Not by name, a
+      // container of that name may belong to someone else.
       try {
-        const container = docker.getContainer(containerIdentifier);
-        await container.remove({ force: true });
-        console.log(`✅ Removed failed container: ${containerIdentifier}`);
+        await execAsync(`docker compose down -v`, {
+          cwd: containerDir,
+          env: { ...process.env, PATH: process.env.PATH }
+        });
+        console.log(`✅ Removed failed containers of: ${containerDir}`);
       } catch (error) {
-        // Container might not exist, that's ok
+        // Nothing might have been started, that's ok
       }
       
       // Remove container directory
@@ -91,23 +100,44 @@ class DockerService {
     }
   }
   
-  async generateEnvFile(instanceName, serviceName, subdomain, port, customVars = {}) {
-    const templatePath = path.join(process.cwd(), 'services', serviceName, '.env.template');
+  /**
+   * Load services/<name>/config.json (empty config if missing)
+   */
+  async loadServiceConfig(serviceName) {
     const configPath = path.join(process.cwd(), 'services', serviceName, 'config.json');
     
-    let template = await fs.readFile(templatePath, 'utf-8');
-    
-    // Load service config for default env vars
-    let serviceConfig = {};
     try {
       const configContent = await fs.readFile(configPath, 'utf-8');
-      serviceConfig = JSON.parse(configContent);
+      return JSON.parse(configContent);
     } catch (error) {
       console.warn(`⚠️  No config.json found for ${serviceName}, using defaults`);
+      return {};
     }
+  }
+  
+  /**
+   * Load services/<name>/.env.template
+   */
+  async loadEnvTemplate(serviceName) {
+    const templatePath = path.join(process.cwd(), 'services', serviceName, '.env.template');
+    return fs.readFile(templatePath, 'utf-8');
+  }
+  
+  /**
+   * Render .env content. `secrets` holds the stored values of generated
+   * template helpers such as {{secret 32}}.
+   */
+  async generateEnvFile(instanceName, serviceName, subdomain, port, customVars = {}, resources = {}, secrets = {}) {
+    let template = await this.loadEnvTemplate(serviceName);
+    
+    // Load service config for default env vars
+    const serviceConfig = await this.loadServiceConfig(serviceName);
     
     const containerIdentifier = `${instanceName}-${serviceName}`;
     
+    // Template helpers first, so {{...}} inside user values stays as it is
+    template = secretService.render(template, { subdomain, secrets, omit: serviceConfig.createOnlySecrets });
+    
     // Build variables with priority: customVars > serviceDefaults > systemDefaults
     const variables = {
       // System defaults (always available)
@@ -116,21 +146,185 @@ class DockerService {
       SUBDOMAIN: subdomain,
       PORT: port,
       BASE_DOMAIN: process.env.BASE_DOMAIN || 'localhost',
+      CPU_LIMIT: resources.cpu || serviceConfig.defaultCpu || '1',
+      MEMORY_LIMIT: resources.memory || serviceConfig.defaultMemory || '512M',
+      IMAGE_TAG: resources.imageTag || serviceConfig.version || 'latest',
       
       // Service-specific defaults from config.json
+      ...envService.getDefaults(serviceConfig),
       ...(serviceConfig.defaultEnvVars || {}),
       
       // User custom variables (highest priority)
       ...customVars
     };
     
-    // Replace all variables dynamically
+    // Replace all variables dynamically. A function replacement keeps $&, $1
+    // or $$ in values from being read as replacement patterns.
     for (const [key, value] of Object.entries(variables)) {
       const regex = new RegExp(`\\$\\{${key}\\}`, 'g');
-      template = template.replace(regex, value);
+      template = template.replace(regex, () => String(value));
+    }
+    
+    // Custom variables without a placeholder still end up in the file
+    return this.setEnvLines(template, customVars);
+  }
+  
+  /**
+   * Set or replace KEY=value lines in .env content
+   */
+  setEnvLines(content, vars) {
+    const lines = content.split('\n');
+    
+    for (const [key, value] of Object.entries(vars)) {
+      const index = lines.findIndex(line => line.startsWith(`${key}=`));
+      
+      if (index >= 0) {
+        lines[index] = `${key}=${value}`;
+      } else if (lines[lines.length - 1] === '') {
+        // Keep trailing newline at the end of the file
+        lines.splice(lines.length - 1, 0, `${key}=${value}`);
+      } else {
+        lines.push(`${key}=${value}`);
+      }
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * Set or replace KEY=value lines in the instance .env file
+   */
+  async updateEnvFile(containerIdentifier, vars) {
+    const envPath = path.join(process.cwd(), 'users', containerIdentifier, '.env');
+    const content = await fs.readFile(envPath, 'utf-8');
+    
+    await fs.writeFile(envPath, this.setEnvLines(content, vars));
+    
+    return { status: 'updated' };
+  }
+  
+  async writeEnvFile(containerIdentifier, content) {
+    const envPath = path.join(process.cwd(), 'users', containerIdentifier, '.env');
+    await fs.writeFile(envPath, content);
+    
+    return { status: 'updated' };
+  }
+  
+  /**
+   * Parse the instance .env file into an object
+   */
+  async readEnvFile(containerIdentifier) {
+    const envPath = path.join(process.cwd(), 'users', containerIdentifier, '.env');
+    return this.parseEnv(await fs.readFile(envPath, 'utf-8'));
+  }
+  
+  parseEnv(content) {
+    const variables = {};
+    
+    for (const line of content.split('\n')) {
+      const match = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/.exec(line.trim());
+      if (match) {
+        variables[match[1]] = match[2];
+      }
+    }
+    
+    return variables;
+  }
+  
+  /**
+   * Interpolate the compose template of a service with .env content, the
+   * way docker compose does when the project starts
+   */
+  async renderCompose(serviceName, envContent) {
+    const composePath = path.join(process.cwd(), 'services', serviceName, 'docker-compose.yaml');
+    const template = await fs.readFile(composePath, 'utf-8');
+    const variables = this.parseEnv(envContent);
+    
+    return template.replace(
+      /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::?-([^}]*))?\}/g,
+      (placeholder, name, fallback) => variables[name] ?? fallback ?? ''
+    );
+  }
+  
+  /**
+   * Apply CPU and memory limits to the running container (docker update)
+   */
+  async updateResources(containerIdentifier, resources) {
+    const container = docker.getContainer(containerIdentifier);
+    const memory = this.parseMemory(resources.memory);
+    
+    await container.update({
+      NanoCpus: Math.round(parseFloat(resources.cpu) * 1e9),
+      Memory: memory,
+      // Same default as Docker: swap limit twice the memory limit
+      MemorySwap: memory * 2
+    });
+    
+    return { status: 'updated' };
+  }
+  
+  /**
+   * Convert a memory limit like 512M or 2G to bytes
+   */
+  parseMemory(value) {
+    const match = /^(\d+)([KMG]?)$/i.exec(String(value));
+    
+    if (!match) {
+      throw new Error(`Invalid memory value: ${value}`);
+    }
+    
+    const multipliers = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+    return parseInt(match[1]) * multipliers[match[2].toUpperCase()];
+  }
+  
+  async composeDown(containerIdentifier) {
+    const containerDir = path.join(process.cwd(), 'users', containerIdentifier);
+    
+    await execAsync(`docker compose down`, {
+      cwd: containerDir,
+      env: { ...process.env, PATH: process.env.PATH }
+    });
+    
+    return { status: 'stopped' };
+  }
+  
+  /**
+   * Start the compose project and return the created container info
+   */
+  async composeUp(containerIdentifier) {
+    const containerDir = path.join(process.cwd(), 'users', containerIdentifier);
+    
+    await execAsync(`docker compose up -d`, {
+      cwd: containerDir,
+      env: { ...process.env, PATH: process.env.PATH }
+    });
+    
+    const info = await docker.getContainer(containerIdentifier).inspect();
+    
+    return {
+      containerId: info.Id,
+      imageId: info.Image,
+      containerIdentifier,
+      dataPath: path.join(containerDir, 'data'),
+      status: info.State.Status
+    };
+  }
+  
+  /**
+   * Move users/<old> to users/<new> (compose project must be down)
+   */
+  async moveContainerDir(oldIdentifier, newIdentifier) {
+    const oldDir = path.join(process.cwd(), 'users', oldIdentifier);
+    const newDir = path.join(process.cwd(), 'users', newIdentifier);
+    
+    const exists = await fs.access(newDir).then(() => true, () => false);
+    if (exists) {
+      throw new Error(`Directory users/${newIdentifier} already exists`);
     }
     
-    return template;
+    await fs.rename(oldDir, newDir);
+    
+    return { from: oldDir, to: newDir };
   }
   
   async stopContainer(containerIdentifier) {
@@ -170,6 +364,116 @@ class DockerService {
     return { status: 'deleted' };
   }
   
+  /**
+   * Copy the data directory of one instance into a new instance directory.
+   * A running source is paused during the copy so the files are consistent.
+   */
+  async copyContainerData(sourceIdentifier, targetIdentifier) {
+    const sourceDataDir = path.join(process.cwd(), 'users', sourceIdentifier, 'data');
+    const targetDir = path.join(process.cwd(), 'users', targetIdentifier);
+    const targetDataDir = path.join(targetDir, 'data');
+    
+    // Fails when the directory exists, it is not ours to overwrite
+    await fs.mkdir(targetDir).catch(error => {
+      throw error.code === 'EEXIST' ? new Error(`Directory users/${targetIdentifier} already exists`) : error;
+    });
+    
+    const source = docker.getContainer(sourceIdentifier);
+    const info = await source.inspect().catch(() => null);
+    const pause = Boolean(info?.State.Running && !info.State.Paused);
+    
+    try {
+      if (pause) {
+        await source.pause();
+      }
+      
+      await fs.mkdir(targetDataDir);
+      await execAsync(`cp -a "${sourceDataDir}/." "${targetDataDir}"`);
+    } catch (error) {
+      await fs.rm(targetDir, { recursive: true, force: true });
+      throw new Error(`Failed to copy data of ${sourceIdentifier}: ${error.message}`);
+    } finally {
+      if (pause) {
+        await source.unpause().catch(error => console.error(`⚠️  Could not unpause ${sourceIdentifier}:`, error.message));
+      }
+    }
+    
+    return { dataPath: targetDataDir, sourcePaused: pause };
+  }
+  
+  /**
+   * Pull the images of the compose project for the tag in its .env
+   */
+  async pullImages(containerIdentifier) {
+    const containerDir = path.join(process.cwd(), 'users', containerIdentifier);
+    
+    await execAsync(`docker compose pull`, {
+      cwd: containerDir,
+      env: { ...process.env, PATH: process.env.PATH }
+    });
+    
+    return { status: 'pulled' };
+  }
+  
+  /**
+   * Read a file below the instance data directory, null when it does not exist
+   */
+  async readDataFile(containerIdentifier, relativePath) {
+    const dataDir = path.join(process.cwd(), 'users', containerIdentifier, 'data');
+    const filePath = path.resolve(dataDir, relativePath);
+    
+    if (!filePath.startsWith(dataDir + path.sep)) {
+      throw new Error(`${relativePath} is outside the data directory`);
+    }
+    
+    try {
+      return await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Point an image reference (e.g. n8nio/n8n:latest) at a local image ID
+   * again, after a pull moved the tag to a newer image
+   */
+  async tagImage(imageId, reference) {
+    const separator = reference.lastIndexOf(':');
+    const tagged = separator > reference.lastIndexOf('/');
+    
+    await docker.getImage(imageId).tag({
+      repo: tagged ? reference.slice(0, separator) : reference,
+      tag: tagged ? reference.slice(separator + 1) : 'latest'
+    });
+  }
+  
+  /**
+   * Whether the compose template of a service takes its image tag from ${IMAGE_TAG}
+   */
+  async usesImageTag(serviceName) {
+    const template = await fs.readFile(path.join(process.cwd(), 'services', serviceName, 'docker-compose.yaml'), 'utf-8');
+    return /\$\{IMAGE_TAG[}:?-]/.test(template);
+  }
+  
+  /**
+   * Replace the instance docker-compose.yaml with the current service
+   * template. Returns the previous content so it can be put back.
+   */
+  async refreshComposeFile(containerIdentifier, serviceName) {
+    const composePath = path.join(process.cwd(), 'users', containerIdentifier, 'docker-compose.yaml');
+    const previous = await fs.readFile(composePath, 'utf-8');
+    
+    await fs.copyFile(path.join(process.cwd(), 'services', serviceName, 'docker-compose.yaml'), composePath);
+    return previous;
+  }
+  
+  async writeComposeFile(containerIdentifier, content) {
+    await fs.writeFile(path.join(process.cwd(), 'users', containerIdentifier, 'docker-compose.yaml'), content);
+  }
+  
   async redeployContainer(containerIdentifier) {
     const containerDir = path.join(process.cwd(), 'users', containerIdentifier);
     
@@ -182,14 +486,72 @@ class DockerService {
     return { status: 'redeployed' };
   }
   
+  /**
+   * List Docker containers whose compose project lives under users/
+   */
+  async listManagedContainers() {
+    const containers = await docker.listContainers({ all: true });
+    
+    return containers
+      .filter(c => this.getManagedIdentifier(c.Labels))
+      .map(c => ({
+        containerId: c.Id,
+        name: c.Names[0].replace(/^\//, ''),
+        workingDir: c.Labels['com.docker.compose.project.working_dir'],
+        state: c.State
+      }));
+  }
+  
+  /**
+   * Container identifier from the compose labels of a Docker container
+   * (or the attributes of a Docker event), null when it is not managed by us
+   */
+  getManagedIdentifier(labels = {}) {
+    const usersDir = path.join(process.cwd(), 'users');
+    const workingDir = labels['com.docker.compose.project.working_dir'] || '';
+    
+    return workingDir.startsWith(usersDir + path.sep) ? path.basename(workingDir) : null;
+  }
+  
+  /**
+   * Stream of Docker container events as newline-delimited JSON
+   */
+  async getContainerEvents(options = {}) {
+    return docker.getEvents({ ...options, filters: { type: ['container'] } });
+  }
+  
+  /**
+   * List instance directories under users/
+   */
+  async listContainerDirs() {
+    const usersDir = path.join(process.cwd(), 'users');
+    
+    try {
+      const entries = await fs.readdir(usersDir, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+  
   async getContainerStatus(containerIdentifier) {
     try {
       const container = docker.getContainer(containerIdentifier);
       const info = await container.inspect();
       
       return {
+        containerId: info.Id,
+        image: info.Config.Image,
+        imageId: info.Image,
         status: info.State.Status,
         running: info.State.Running,
+        health: info.State.Health?.Status || null,
+        exitCode: info.State.ExitCode,
+        oomKilled: info.State.OOMKilled,
+        restartCount: info.RestartCount,
         startedAt: info.State.StartedAt,
         finishedAt: info.State.FinishedAt
       };
@@ -198,6 +560,42 @@ class DockerService {
     }
   }
   
+  /**
+   * One resource usage sample from the Docker stats API.
+   * Network and block I/O are cumulative since the container started.
+   */
+  async getContainerStats(containerIdentifier) {
+    const container = docker.getContainer(containerIdentifier);
+    const stats = await container.stats({ stream: false });
+    
+    const cpuDelta = stats.cpu_stats.cpu_usage.total_usage - (stats.precpu_stats.cpu_usage?.total_usage || 0);
+    const systemDelta = (stats.cpu_stats.system_cpu_usage || 0) - (stats.precpu_stats.system_cpu_usage || 0);
+    const onlineCpus = stats.cpu_stats.online_cpus || stats.cpu_stats.cpu_usage.percpu_usage?.length || 1;
+    
+    // Page cache is reclaimable, report usage the way `docker stats` does
+    const memoryStats = stats.memory_stats || {};
+    const cache = memoryStats.stats?.inactive_file ?? memoryStats.stats?.cache ?? 0;
+    const memoryUsage = Math.max((memoryStats.usage || 0) - cache, 0);
+    
+    const networks = Object.values(stats.networks || {});
+    const blockIo = stats.blkio_stats?.io_service_bytes_recursive || [];
+    const sumBlockIo = (op) => blockIo
+      .filter(entry => entry.op.toLowerCase() === op)
+      .reduce((total, entry) => total + entry.value, 0);
+    
+    return {
+      sampledAt: stats.read,
+      cpuPercent: systemDelta > 0 && cpuDelta > 0 ? Number(((cpuDelta / systemDelta) * onlineCpus * 100).toFixed(2)) : 0,
+      memoryBytes: memoryUsage,
+      memoryLimitBytes: memoryStats.limit || null,
+      netRxBytes: networks.reduce((total, network) => total + network.rx_bytes, 0),
+      netTxBytes: networks.reduce((total, network) => total + network.tx_bytes, 0),
+      blockReadBytes: sumBlockIo('read'),
+      blockWriteBytes: sumBlockIo('write'),
+      pids: stats.pids_stats?.current ?? null
+    };
+  }
+  
   async backupContainer(containerIdentifier) {
     const containerDir = path.join(process.cwd(), 'users', containerIdentifier);
     const dataDir = path.join(containerDir, 'data');
@@ -227,20 +625,230 @@ class DockerService {
     });
   }
   
-  async getContainerLogs(containerIdentifier, lines = 100) {
+  /**
+   * Restore container data from a backup archive.
+   * The current data directory is kept as a snapshot and put back if the
+   * container fails to come up with the restored data.
+   */
+  async restoreContainer(containerIdentifier, backupFile) {
+    const containerDir = path.join(process.cwd(), 'users', containerIdentifier);
+    const dataDir = path.join(containerDir, 'data');
+    
+    await fs.access(backupFile).catch(() => {
+      throw new HttpError(404, `Backup '${path.basename(backupFile)}' not found`);
+    });
+    
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const snapshotDir = path.join(containerDir, `data.pre-restore-${timestamp}`);
+    const composeOptions = {
+      cwd: containerDir,
+      env: { ...process.env, PATH: process.env.PATH }
+    };
+    
+    // Stop compose project
+    await execAsync(`docker compose down`, composeOptions);
+    
+    // Keep current data as safety snapshot
+    await fs.rename(dataDir, snapshotDir);
+    
+    try {
+      // Extract archive into a fresh data directory
+      await fs.mkdir(dataDir, { recursive: true });
+      await execAsync(`tar -xzf "${backupFile}" -C "${dataDir}"`);
+      await this.setDataOwnership(dataDir);
+      
+      await execAsync(`docker compose up -d`, composeOptions);
+      
+      const healthy = await this.waitForRunning(containerIdentifier);
+      if (!healthy) {
+        throw new Error('Container did not come up after restore');
+      }
+    } catch (error) {
+      // Rollback to snapshot
+      console.error('❌ Restore failed, rolling back to snapshot...');
+      try {
+        await execAsync(`docker compose down`, composeOptions).catch(() => {});
+        await fs.rm(dataDir, { recursive: true, force: true });
+        await fs.rename(snapshotDir, dataDir);
+        await execAsync(`docker compose up -d`, composeOptions);
+      } catch (rollbackError) {
+        console.error('⚠️  Rollback error:', rollbackError.message);
+        throw new Error(`Restore failed (${error.message}) and rollback failed: ${rollbackError.message}`);
+      }
+      throw new Error(`Restore failed, previous data restored: ${error.message}`);
+    }
+    
+    // Restore succeeded, snapshot no longer needed
+    await fs.rm(snapshotDir, { recursive: true, force: true });
+    
+    return {
+      backupFile,
+      status: 'restored'
+    };
+  }
+  
+  /**
+   * Resolve a backup name to a file in backups/ that belongs to the container
+   */
+  resolveBackupFile(containerIdentifier, backupName) {
+    const fileName = path.basename(backupName || '');
+    
+    if (!fileName.startsWith(`${containerIdentifier}_`) || !fileName.endsWith('.tar.gz')) {
+      throw new HttpError(400, `Backup '${fileName}' does not belong to ${containerIdentifier}`);
+    }
+    
+    return path.join(process.cwd(), 'backups', fileName);
+  }
+  
+  /**
+   * Set data directory owner to UID 1000 (Linux/Mac only)
+   */
+  async setDataOwnership(dataDir) {
+    if (process.platform === 'win32') {
+      return;
+    }
+    
+    try {
+      await execAsync(`chown -R 1000:1000 "${dataDir}"`);
+    } catch (error) {
+      console.warn('⚠️  Could not set data directory permissions:', error.message);
+    }
+  }
+  
+  /**
+   * Wait until the container is running and not restarting
+   */
+  async waitForRunning(containerIdentifier, timeout = 30000, interval = 2000) {
+    const deadline = Date.now() + timeout;
+    let runningChecks = 0;
+    
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, interval));
+      
+      try {
+        const info = await docker.getContainer(containerIdentifier).inspect();
+        
+        // Require two consecutive running checks to catch crash loops
+        runningChecks = info.State.Running && !info.State.Restarting ? runningChecks + 1 : 0;
+        if (runningChecks >= 2) {
+          return true;
+        }
+      } catch (error) {
+        runningChecks = 0;
+      }
+    }
+    
+    return false;
+  }
+  
+  /**
+   * One-shot logs, demultiplexed. `options` are the parsed log filters
+   * (tail, since, until, timestamps, stdout, stderr).
+   */
+  async getContainerLogs(containerIdentifier, options = {}) {
     try {
       const container = docker.getContainer(containerIdentifier);
-      const logs = await container.logs({
-        stdout: true,
-        stderr: true,
-        tail: lines
-      });
+      const info = await container.inspect();
+      const logs = await container.logs({ ...this.toDockerLogOptions(options), follow: false });
+      
+      // Containers with a TTY have no stdout/stderr frames
+      if (info.Config.Tty) {
+        return logs.toString('utf-8');
+      }
       
-      return logs.toString('utf-8');
+      return this.demuxLogs(logs).map(frame => frame.text).join('');
     } catch (error) {
       throw new Error(`Failed to get logs: ${error.message}`);
     }
   }
+  
+  /**
+   * Follow logs in real time, calling onLine(stream, line) for every
+   * complete line, onEnd() when the container stops and onError(error)
+   * when the stream breaks. Returns a function that stops following.
+   */
+  async followContainerLogs(containerIdentifier, options, { onLine, onEnd, onError }) {
+    const container = docker.getContainer(containerIdentifier);
+    const info = await container.inspect();
+    const logStream = await container.logs({ ...this.toDockerLogOptions(options), follow: true });
+    const flushes = [];
+    
+    const lineReader = (streamName) => {
+      let buffer = '';
+      flushes.push(() => buffer && onLine(streamName, buffer));
+      
+      return (chunk) => {
+        buffer += chunk.toString('utf-8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => onLine(streamName, line.replace(/\r$/, '')));
+      };
+    };
+    
+    if (info.Config.Tty) {
+      logStream.on('data', lineReader('stdout'));
+    } else {
+      const stdout = new PassThrough();
+      const stderr = new PassThrough();
+      stdout.on('data', lineReader('stdout'));
+      stderr.on('data', lineReader('stderr'));
+      docker.modem.demuxStream(logStream, stdout, stderr);
+    }
+    
+    // Only the first of end and error is reported
+    let finished = false;
+    
+    logStream.on('end', () => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      flushes.forEach(flush => flush());
+      onEnd();
+    });
+    logStream.on('error', (error) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      onError(error);
+    });
+    
+    return () => logStream.destroy();
+  }
+  
+  toDockerLogOptions(options) {
+    return {
+      stdout: options.stdout !== false,
+      stderr: options.stderr !== false,
+      tail: options.tail ?? 'all',
+      since: options.since || 0,
+      until: options.until || 0,
+      timestamps: Boolean(options.timestamps)
+    };
+  }
+  
+  /**
+   * Split Docker's multiplexed log buffer (8 byte header per frame)
+   */
+  demuxLogs(buffer) {
+    const frames = [];
+    let offset = 0;
+    
+    while (offset + 8 <= buffer.length) {
+      const type = buffer[offset];
+      const size = buffer.readUInt32BE(offset + 4);
+      
+      frames.push({
+        stream: type === 2 ? 'stderr' : 'stdout',
+        text: buffer.subarray(offset + 8, offset + 8 + size).toString('utf-8')
+      });
+      
+      offset += 8 + size;
+    }
+    
+    return frames;
+  }
 }
 
 module.exports = new DockerService();
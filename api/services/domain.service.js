@@ -0,0 +1,160 @@
+const dns = require('dns').promises;
+const { pool } = require('../config/database');
+const proxyService = require('./proxy.service');
+const certificateService = require('./certificate.service');
+const HttpError = require('../utils/http-error');
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const MODES = ['site', 'alias'];
+
+class DomainService {
+  
+  /**
+   * Check that the domain resolves to this server
+   */
+  async verifyDns(domain) {
+    const serverIp = process.env.SERVER_IP || process.env.FASTPANEL_SERVER_IP;
+    
+    if (!serverIp) {
+      throw new HttpError(500, 'SERVER_IP is not configured, custom domains cannot be verified');
+    }
+    
+    let addresses = [];
+    try {
+      addresses = await dns.resolve4(domain);
+    } catch (error) {
+      throw new HttpError(422, `Domain '${domain}' does not resolve (${error.code || error.message})`);
+    }
+    
+    if (!addresses.includes(serverIp)) {
+      throw new HttpError(422, `Domain '${domain}' resolves to ${addresses.join(', ')}, expected ${serverIp}`);
+    }
+    
+    return addresses;
+  }
+  
+  async listDomains(containerId) {
+    const [domains] = await pool.query(
+      'SELECT * FROM container_domains WHERE container_id = ? ORDER BY created_at',
+      [containerId]
+    );
+    return domains;
+  }
+  
+  async getDomain(containerId, domainId) {
+    const [domains] = await pool.query(
+      'SELECT * FROM container_domains WHERE id = ? AND container_id = ?',
+      [domainId, containerId]
+    );
+    
+    if (domains.length === 0) {
+      throw new HttpError(404, 'Domain not found');
+    }
+    
+    return domains[0];
+  }
+  
+  /**
+   * Attach a custom domain as a separate reverse proxy site or as an alias
+   * of the instance site, then request an SSL certificate for it
+   */
+  async addDomain(container, domainName, mode = 'site') {
+    const domain = String(domainName).trim().toLowerCase();
+    const primaryDomain = `${container.subdomain}.${process.env.BASE_DOMAIN}`;
+    
+    if (!DOMAIN_PATTERN.test(domain)) {
+      throw new HttpError(400, `Invalid domain '${domainName}'`);
+    }
+    
+    if (!MODES.includes(mode)) {
+      throw new HttpError(400, `Mode must be one of: ${MODES.join(', ')}`);
+    }
+    
+    if (domain === primaryDomain) {
+      throw new HttpError(400, 'Domain is already the instance domain');
+    }
+    
+    const [existing] = await pool.query('SELECT id FROM container_domains WHERE domain = ?', [domain]);
+    
+    if (existing.length > 0) {
+      throw new HttpError(409, `Domain '${domain}' is already attached`);
+    }
+    
+    await this.verifyDns(domain);
+    
+    let siteId = null;
+    let ssl;
+    let result;
+    try {
+      const site = mode === 'site'
+        ? await proxyService.createSite(domain, container.port)
+        : await proxyService.addAlias(primaryDomain, domain);
+      siteId = site.siteId;
+      
+      // SSL is optional, the domain still works over HTTP
+      ssl = await certificateService.request(domain, siteId);
+      
+      [result] = await pool.query(
+        `INSERT INTO container_domains (container_id, domain, mode, fastpanel_site_id, certificate_id)
+         VALUES (?, ?, ?, ?, ?)`,
+        [container.id, domain, mode, siteId, ssl.certificateId]
+      );
+    } catch (error) {
+      // Rollback: no site, alias or DNS domain of createSite is kept without
+      // its record, also when createSite failed partway
+      const rollback = mode === 'site'
+        ? proxyService.deleteSite(domain, { removeDns: true })
+        : proxyService.removeAlias(primaryDomain, domain);
+      await rollback.catch(cleanupError => console.error('⚠️  Cleanup error:', cleanupError.message));
+      
+      throw error;
+    }
+    
+    return {
+      id: result.insertId,
+      domain,
+      mode,
+      siteId,
+      url: `https://${domain}`,
+      ssl
+    };
+  }
+  
+  async removeDomain(container, domainId) {
+    const domain = await this.getDomain(container.id, domainId);
+    await this.detach(container, domain);
+    
+    return { message: 'Domain removed successfully', domain: domain.domain };
+  }
+  
+  /**
+   * Remove every custom domain of a container (used on delete)
+   */
+  async removeAllDomains(container) {
+    const domains = await this.listDomains(container.id);
+    
+    for (const domain of domains) {
+      try {
+        await this.detach(container, domain);
+      } catch (error) {
+        console.error(`⚠️  Failed to remove domain ${domain.domain}:`, error.message);
+      }
+    }
+    
+    return { removed: domains.length };
+  }
+  
+  async detach(container, domain) {
+    if (domain.mode === 'site') {
+      // createSite added a DNS domain for it as well
+      await proxyService.deleteSite(domain.domain, { removeDns: true });
+    } else {
+      const primaryDomain = `${container.subdomain}.${process.env.BASE_DOMAIN}`;
+      await proxyService.removeAlias(primaryDomain, domain.domain);
+    }
+    
+    await pool.query('DELETE FROM container_domains WHERE id = ?', [domain.id]);
+  }
+}
+
+module.exports = new DomainService();
@@ -0,0 +1,269 @@
+const { pool } = require('../config/database');
+const HttpError = require('../utils/http-error');
+
+// Variables rendered by the platform itself, they cannot be overridden
+const SYSTEM_VARS = [
+  'INSTANCE_NAME',
+  'CONTAINER_NAME',
+  'SUBDOMAIN',
+  'PORT',
+  'BASE_DOMAIN',
+  'CPU_LIMIT',
+  'MEMORY_LIMIT',
+  'IMAGE_TAG'
+];
+
+const SECRET_PATTERN = /PASS|SECRET|TOKEN|KEY/i;
+const MASK = '********';
+const TYPES = ['string', 'integer', 'number', 'boolean'];
+
+class EnvService {
+  
+  isSystemVar(key) {
+    return SYSTEM_VARS.includes(key);
+  }
+  
+  /**
+   * Secrets are declared in the parameter schema, variables without
+   * a declaration fall back to a name-based guess
+   */
+  isSecret(key, serviceConfig = {}) {
+    const parameter = serviceConfig.parameters?.[key];
+    
+    if (parameter && parameter.secret !== undefined) {
+      return Boolean(parameter.secret);
+    }
+    
+    return SECRET_PATTERN.test(key);
+  }
+  
+  /**
+   * Normalized parameter schema of a service. Variables listed in the legacy
+   * requiredEnvVars/defaultEnvVars are included as plain strings.
+   */
+  getParameters(serviceConfig = {}) {
+    const parameters = {};
+    const base = (key) => parameters[key] || {
+      type: 'string',
+      description: '',
+      required: false,
+      secret: SECRET_PATTERN.test(key)
+    };
+    
+    for (const key of serviceConfig.requiredEnvVars || []) {
+      if (!this.isSystemVar(key)) {
+        parameters[key] = { ...base(key), required: true };
+      }
+    }
+    
+    for (const [key, value] of Object.entries(serviceConfig.defaultEnvVars || {})) {
+      if (!this.isSystemVar(key)) {
+        parameters[key] = { ...base(key), default: value };
+      }
+    }
+    
+    for (const [key, parameter] of Object.entries(serviceConfig.parameters || {})) {
+      parameters[key] = { ...base(key), ...parameter };
+    }
+    
+    return parameters;
+  }
+  
+  /**
+   * Default values declared in the parameter schema
+   */
+  getDefaults(serviceConfig = {}) {
+    return Object.fromEntries(
+      Object.entries(serviceConfig.parameters || {})
+        .filter(([, parameter]) => parameter.default !== undefined)
+        .map(([key, parameter]) => [key, parameter.default])
+    );
+  }
+  
+  /**
+   * Variables outside of the schema are only accepted when the service
+   * has no parameter schema or sets additionalEnvVars
+   */
+  allowsAdditional(serviceConfig = {}) {
+    return !serviceConfig.parameters || serviceConfig.additionalEnvVars === true;
+  }
+  
+  /**
+   * Check a value against one parameter, returns an error message or null
+   */
+  checkValue(key, parameter, value) {
+    const text = String(value);
+    
+    if (parameter.type === 'integer' && !/^-?\d+$/.test(text)) {
+      return `'${key}' must be an integer`;
+    }
+    
+    if (parameter.type === 'number' && (text.trim() === '' || !Number.isFinite(Number(text)))) {
+      return `'${key}' must be a number`;
+    }
+    
+    if (parameter.type === 'boolean' && !['true', 'false'].includes(text)) {
+      return `'${key}' must be true or false`;
+    }
+    
+    if (parameter.enum && !parameter.enum.map(String).includes(text)) {
+      return `'${key}' must be one of: ${parameter.enum.join(', ')}`;
+    }
+    
+    if (parameter.pattern && !new RegExp(parameter.pattern).test(text)) {
+      return `'${key}' must match ${parameter.pattern}`;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Validate the parameter schema of a service config (used on upload)
+   */
+  validateSchema(parameters) {
+    if (parameters === undefined) {
+      return;
+    }
+    
+    if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+      throw new HttpError(400, 'config.parameters must be an object');
+    }
+    
+    for (const [key, parameter] of Object.entries(parameters)) {
+      if (!/^[A-Z_][A-Z0-9_]*$/.test(key) || this.isSystemVar(key)) {
+        throw new HttpError(400, `Invalid parameter name '${key}'`);
+      }
+      
+      if (!parameter || typeof parameter !== 'object') {
+        throw new HttpError(400, `Parameter '${key}' must be an object`);
+      }
+      
+      if (parameter.type !== undefined && !TYPES.includes(parameter.type)) {
+        throw new HttpError(400, `Parameter '${key}' has invalid type, use one of: ${TYPES.join(', ')}`);
+      }
+      
+      if (parameter.enum !== undefined && (!Array.isArray(parameter.enum) || parameter.enum.length === 0)) {
+        throw new HttpError(400, `Parameter '${key}' enum must be a non-empty array`);
+      }
+      
+      if (parameter.pattern !== undefined) {
+        try {
+          new RegExp(parameter.pattern);
+        } catch (error) {
+          throw new HttpError(400, `Parameter '${key}' has invalid pattern: ${error.message}`);
+        }
+      }
+      
+      if (parameter.default !== undefined) {
+        const error = this.checkValue(key, { type: 'string', ...parameter }, parameter.default);
+        if (error) {
+          throw new HttpError(400, `Default of ${error}`);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Validate custom variables against the service config.
+   * `variables` is the full set of custom variables after the change.
+   */
+  validate(serviceConfig, variables) {
+    const parameters = this.getParameters(serviceConfig);
+    const errors = [];
+    
+    for (const [key, value] of Object.entries(variables)) {
+      if (!/^[A-Z_][A-Z0-9_]*$/.test(key)) {
+        throw new HttpError(400, `Invalid variable name '${key}': use uppercase letters, digits and underscores`);
+      }
+      
+      if (this.isSystemVar(key)) {
+        throw new HttpError(400, `Variable '${key}' is managed by the platform and cannot be set`);
+      }
+      
+      if (typeof value === 'object' || /[\r\n]/.test(String(value))) {
+        throw new HttpError(400, `Variable '${key}' must be a single-line value`);
+      }
+      
+      if (!parameters[key]) {
+        if (!this.allowsAdditional(serviceConfig)) {
+          errors.push(`'${key}' is not a parameter of this service`);
+        }
+        continue;
+      }
+      
+      const error = this.checkValue(key, parameters[key], value);
+      if (error) {
+        errors.push(error);
+      }
+    }
+    
+    if (errors.length > 0) {
+      throw new HttpError(400, `Invalid environment variables: ${errors.join('; ')}`);
+    }
+    
+    // Required variables must have a value once defaults are applied
+    const missing = Object.entries(parameters)
+      .filter(([, parameter]) => parameter.required)
+      .filter(([key, parameter]) => [variables[key], parameter.default].every(value => value === undefined || value === ''))
+      .map(([key]) => key);
+    
+    if (missing.length > 0) {
+      throw new HttpError(400, `Missing required variables: ${missing.join(', ')}`);
+    }
+  }
+  
+  async getVariables(containerId) {
+    const [rows] = await pool.query(
+      'SELECT var_key, var_value FROM container_env_vars WHERE container_id = ? ORDER BY var_key',
+      [containerId]
+    );
+    
+    return Object.fromEntries(rows.map(row => [row.var_key, row.var_value]));
+  }
+  
+  async setVariables(containerId, variables) {
+    for (const [key, value] of Object.entries(variables)) {
+      await pool.query(
+        `INSERT INTO container_env_vars (container_id, var_key, var_value) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE var_value = VALUES(var_value)`,
+        [containerId, key, String(value)]
+      );
+    }
+  }
+  
+  async unsetVariable(containerId, key) {
+    await pool.query(
+      'DELETE FROM container_env_vars WHERE container_id = ? AND var_key = ?',
+      [containerId, key]
+    );
+  }
+  
+  /**
+   * Replace secret values with a mask for API responses.
+   * `secretKeys` are always masked (e.g. generated values).
+   */
+  mask(variables, serviceConfig, secretKeys = []) {
+    const isSecret = (key) => secretKeys.includes(key) || this.isSecret(key, serviceConfig);
+    
+    return Object.fromEntries(
+      Object.entries(variables).map(([key, value]) => [key, isSecret(key) && value ? MASK : value])
+    );
+  }
+  
+  /**
+   * Mask secret values in rendered .env content
+   */
+  maskContent(content, serviceConfig, secretKeys = []) {
+    return content.split('\n').map(line => {
+      const match = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/.exec(line);
+      if (!match) {
+        return line;
+      }
+      
+      const [, key, value] = match;
+      return `${key}=${this.mask({ [key]: value }, serviceConfig, secretKeys)[key]}`;
+    }).join('\n');
+  }
+}
+
+module.exports = new EnvService();
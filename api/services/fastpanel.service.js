@@ -3,11 +3,15 @@ const https = require('https');
 
 class FastPanelService {
   constructor() {
+    this.name = 'fastpanel';
     this.baseUrl = process.env.FASTPANEL_URL || 'https://127.0.0.1:8888';
     this.username = process.env.FASTPANEL_USERNAME;
     this.password = process.env.FASTPANEL_PASSWORD;
     this.ownerId = parseInt(process.env.FASTPANEL_OWNER_ID || '4');
-    this.serverIp = process.env.FASTPANEL_SERVER_IP;
+    this.serverIp = process.env.FASTPANEL_SERVER_IP || process.env.SERVER_IP;
+    
+    // Delay before requesting SSL so DNS can propagate
+    this.sslDelay = parseInt(process.env.FASTPANEL_SSL_DELAY_MS || '5000');
     
     // Token cache
     this.token = null;
@@ -112,17 +116,55 @@ class FastPanelService {
   }
   
   /**
-   * Create new site with reverse proxy in FastPanel
+   * Remove a DNS domain from FastPanel (missing domains are ignored)
    */
-  async createSite(subdomain, port) {
+  async removeDomain(domain) {
     try {
       const token = await this.getToken();
-      const domain = `${subdomain}.${process.env.BASE_DOMAIN}`;
       
-      // Step 1: Add DNS domain first
-      await this.addDomain(domain);
+      const response = await this.client.get('/api/dns/domains', {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      
+      const domains = response.data.data || response.data;
+      const dnsDomain = domains.find(d => d.name === domain);
+      
+      if (!dnsDomain) {
+        return { domain, status: 'not_found' };
+      }
+      
+      await this.client.delete(`/api/dns/domains/${dnsDomain.id}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      
+      console.log(`✅ FastPanel DNS domain removed: ${domain}`);
+      
+      return { domain, status: 'deleted' };
+    } catch (error) {
+      console.error('❌ FastPanel remove domain error:', error.response?.data || error.message);
+      throw new Error(`Failed to remove FastPanel domain: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Create the DNS domain and a reverse proxy site for it
+   */
+  async createSite(domain, port) {
+    await this.addDomain(domain);
+    return this.createProxySite(domain, port);
+  }
+  
+  /**
+   * Create reverse proxy site for a domain (DNS domain must exist)
+   */
+  async createProxySite(domain, port) {
+    try {
+      const token = await this.getToken();
       
-      // Step 2: Prepare site data
       const siteData = {
         domain: domain,
         aliases: [
@@ -147,7 +189,7 @@ class FastPanelService {
         database: null // Skip database creation
       };
       
-      // Step 3: Create site using PUT method
+      // Create site using PUT method
       const siteResponse = await this.client.put('/api/master', siteData, {
         headers: {
           'Authorization': `Bearer ${token}`
@@ -158,19 +200,11 @@ class FastPanelService {
       
       console.log(`✅ FastPanel site created: ${domain} → port ${port}`);
       
-      // Step 4: Wait 5 seconds for DNS propagation
-      console.log('⏳ Waiting 5 seconds for DNS propagation...');
-      await new Promise(resolve => setTimeout(resolve, 5000));
-      
-      // Step 5: Create SSL certificate
-      const ssl = await this.createSSL(domain, siteId);
-      
       return {
         siteId: siteId,
         domain: domain,
         status: 'created',
-        upstream: `http://127.0.0.1:${port}`,
-        ssl: ssl
+        upstream: `http://127.0.0.1:${port}`
       };
     } catch (error) {
       console.error('❌ FastPanel create site error:', error.response?.data || error.message);
@@ -179,9 +213,28 @@ class FastPanelService {
   }
   
   /**
-   * Delete site from FastPanel
+   * Actions createSite would perform, used by dry runs
+   */
+  planSite(domain, port) {
+    return [
+      { action: 'dns_domain_create', provider: this.name, domain, ip: this.serverIp },
+      { action: 'site_create', provider: this.name, domain, aliases: [`www.${domain}`], upstream: `http://127.0.0.1:${port}` }
+    ];
+  }
+  
+  /**
+   * Wait for DNS propagation before requesting certificates
    */
-  async deleteSite(domain) {
+  async waitForDns() {
+    console.log(`⏳ Waiting ${this.sslDelay / 1000} seconds for DNS propagation...`);
+    await new Promise(resolve => setTimeout(resolve, this.sslDelay));
+  }
+  
+  /**
+   * Delete site from FastPanel. With removeDns the DNS domain createSite
+   * added goes as well, also when the site itself was never created.
+   */
+  async deleteSite(domain, { removeDns = false } = {}) {
     try {
       const token = await this.getToken();
       
@@ -198,13 +251,16 @@ class FastPanelService {
       
       if (!site) {
         console.log(`⚠️  Site ${domain} not found in FastPanel`);
+        if (removeDns) {
+          await this.removeDomain(domain);
+        }
         return { status: 'not_found' };
       }
       
       // Delete site with all related resources
       await this.client.put(`/api/sites/${site.id}/delete`, {
         remove_databases: true,
-        remove_dns_domains: false,
+        remove_dns_domains: removeDns,
         remove_email_domains: true,
         remove_sub_domains: true,
         remove_dns_domains_from_provider: false
@@ -228,9 +284,9 @@ class FastPanelService {
   }
   
   /**
-   * Update site proxy port
+   * Point the reverse proxy of a site to another local port
    */
-  async updateSiteProxy(domain, newPort) {
+  async updateUpstream(domain, newPort) {
     try {
       const token = await this.getToken();
       
@@ -281,9 +337,9 @@ class FastPanelService {
   }
   
   /**
-   * Get site info
+   * List all sites
    */
-  async getSiteInfo(domain) {
+  async listSites() {
     try {
       const token = await this.getToken();
       
@@ -294,20 +350,124 @@ class FastPanelService {
       });
       
       const sites = sitesResponse.data.data || sitesResponse.data;
-      const site = sites.find(s => s.domain === domain);
+      return sites.map(site => this.toSiteInfo(site));
+    } catch (error) {
+      console.error('❌ FastPanel list sites error:', error.response?.data || error.message);
+      throw new Error(`Failed to list FastPanel sites: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Provider-neutral site info from raw FastPanel site data
+   */
+  toSiteInfo(site) {
+    return {
+      siteId: site.id,
+      domain: site.domain,
+      upstream: site.upstreams?.[0]?.address || null,
+      aliases: (site.aliases || []).map(alias => alias.name),
+      mode: site.mode,
+      status: site.status,
+      enabled: site.enabled
+    };
+  }
+  
+  /**
+   * Find raw site data by domain
+   */
+  async findSite(domain) {
+    const token = await this.getToken();
+    
+    const sitesResponse = await this.client.get('/api/master', {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const sites = sitesResponse.data.data || sitesResponse.data;
+    return sites.find(s => s.domain === domain) || null;
+  }
+  
+  /**
+   * Add alias domain to an existing site
+   */
+  async addAlias(domain, alias) {
+    try {
+      const token = await this.getToken();
+      const site = await this.findSite(domain);
+      
+      if (!site) {
+        throw new Error(`Site ${domain} not found`);
+      }
+      
+      const aliases = (site.aliases || []).filter(a => a.name !== alias);
+      
+      await this.client.put('/api/master', {
+        ...site,
+        aliases: [...aliases, { name: alias }]
+      }, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      
+      console.log(`✅ FastPanel alias added: ${alias} → ${domain}`);
+      
+      return {
+        siteId: site.id,
+        domain: domain,
+        alias: alias,
+        status: 'updated'
+      };
+    } catch (error) {
+      console.error('❌ FastPanel add alias error:', error.response?.data || error.message);
+      throw new Error(`Failed to add FastPanel alias: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Remove alias domain from a site
+   */
+  async removeAlias(domain, alias) {
+    try {
+      const token = await this.getToken();
+      const site = await this.findSite(domain);
       
       if (!site) {
-        return null;
+        console.log(`⚠️  Site ${domain} not found in FastPanel`);
+        return { status: 'not_found' };
       }
       
+      await this.client.put('/api/master', {
+        ...site,
+        aliases: (site.aliases || []).filter(a => a.name !== alias)
+      }, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      
+      console.log(`✅ FastPanel alias removed: ${alias} from ${domain}`);
+      
       return {
         siteId: site.id,
-        domain: site.domain,
-        upstreams: site.upstreams,
-        mode: site.mode,
-        status: site.status,
-        enabled: site.enabled
+        domain: domain,
+        alias: alias,
+        status: 'removed'
       };
+    } catch (error) {
+      console.error('❌ FastPanel remove alias error:', error.response?.data || error.message);
+      throw new Error(`Failed to remove FastPanel alias: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get site info
+   */
+  async getSiteInfo(domain) {
+    try {
+      const site = await this.findSite(domain);
+      return site ? this.toSiteInfo(site) : null;
     } catch (error) {
       console.error('❌ FastPanel get site error:', error.response?.data || error.message);
       return null;
@@ -315,9 +475,10 @@ class FastPanelService {
   }
   
   /**
-   * Create SSL certificate for site
+   * Request a Let's Encrypt certificate for a domain of a site. FastPanel
+   * issues it in the background, follow it with getCertificate.
    */
-  async createSSL(domain, siteId) {
+  async issueCertificate(domain, siteId) {
     try {
       const token = await this.getToken();
       
@@ -337,19 +498,55 @@ class FastPanelService {
         }
       });
       
-      console.log(`✅ FastPanel SSL certificate created for: ${domain}`);
+      console.log(`✅ FastPanel SSL certificate requested for: ${domain}`);
       
       return {
         certificateId: sslResponse.data.data.id,
         domain: domain,
-        status: 'creating',
-        expiresAt: sslResponse.data.data.expired_at
+        status: 'pending',
+        expiresAt: sslResponse.data.data.expired_at || null
       };
     } catch (error) {
       console.error('❌ FastPanel SSL creation error:', error.response?.data || error.message);
-      // Don't throw error, SSL is optional
-      console.log('⚠️  Continuing without SSL...');
-      return null;
+      throw new Error(`Failed to request FastPanel certificate: ${error.response?.data?.message || error.message}`);
+    }
+  }
+  
+  /**
+   * Current state of a requested certificate: pending, issued or failed
+   */
+  async getCertificate(certificateId) {
+    try {
+      const token = await this.getToken();
+      
+      const response = await this.client.get(`/api/certificates/${certificateId}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      
+      const certificate = response.data.data || response.data;
+      const state = String(certificate.status || '').toLowerCase();
+      let status = 'pending';
+      
+      if (['active', 'issued', 'success', 'valid'].includes(state)) {
+        status = 'issued';
+      } else if (['error', 'failed', 'fail', 'invalid'].includes(state)) {
+        status = 'failed';
+      }
+      
+      return {
+        certificateId,
+        status,
+        expiresAt: certificate.expired_at || null,
+        error: status === 'failed' ? (certificate.message || certificate.error || `FastPanel status '${state}'`) : null
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { certificateId, status: 'failed', expiresAt: null, error: 'Certificate not found in FastPanel' };
+      }
+      console.error('❌ FastPanel get certificate error:', error.response?.data || error.message);
+      throw new Error(`Failed to get FastPanel certificate: ${error.message}`);
     }
   }
   
@@ -0,0 +1,107 @@
+const axios = require('axios');
+const HttpError = require('../utils/http-error');
+
+const DEFAULTS = {
+  expectedStatus: 200,
+  timeoutMs: 5000,
+  retries: 30,
+  intervalMs: 2000
+};
+
+class HealthService {
+  
+  /**
+   * Validate the optional healthCheck block of a service config.json:
+   * { path, expectedStatus, timeoutMs, retries, intervalMs }
+   */
+  validateDefinition(healthCheck) {
+    if (healthCheck === undefined) {
+      return;
+    }
+    
+    if (!healthCheck || typeof healthCheck !== 'object' || Array.isArray(healthCheck)) {
+      throw new HttpError(400, 'config.healthCheck must be an object');
+    }
+    
+    if (typeof healthCheck.path !== 'string' || !healthCheck.path.startsWith('/')) {
+      throw new HttpError(400, 'config.healthCheck.path must be a path starting with /');
+    }
+    
+    const statuses = [].concat(healthCheck.expectedStatus ?? DEFAULTS.expectedStatus);
+    if (!statuses.every(status => Number.isInteger(status) && status >= 100 && status <= 599)) {
+      throw new HttpError(400, 'config.healthCheck.expectedStatus must be an HTTP status code or a list of them');
+    }
+    
+    for (const field of ['timeoutMs', 'retries', 'intervalMs']) {
+      const value = healthCheck[field];
+      if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+        throw new HttpError(400, `config.healthCheck.${field} must be a positive integer`);
+      }
+    }
+  }
+  
+  /**
+   * Health check of a service with defaults applied, null when the service defines none
+   */
+  getDefinition(serviceConfig) {
+    if (!serviceConfig?.healthCheck) {
+      return null;
+    }
+    
+    const definition = { ...DEFAULTS, ...serviceConfig.healthCheck };
+    return { ...definition, expectedStatus: [].concat(definition.expectedStatus) };
+  }
+  
+  /**
+   * Request the health check path on the published port once
+   */
+  async probe(port, definition) {
+    const startedAt = Date.now();
+    const result = { status: 'unhealthy', statusCode: null, responseTimeMs: null, error: null, checkedAt: new Date() };
+    
+    try {
+      const response = await axios.get(`http://127.0.0.1:${port}${definition.path}`, {
+        timeout: definition.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      
+      result.statusCode = response.status;
+      
+      if (definition.expectedStatus.includes(response.status)) {
+        result.status = 'healthy';
+      } else {
+        result.error = `Expected HTTP ${definition.expectedStatus.join(' or ')}, got ${response.status}`;
+      }
+    } catch (error) {
+      result.error = error.code === 'ECONNABORTED' ? `No response within ${definition.timeoutMs}ms` : error.message;
+    }
+    
+    result.responseTimeMs = Date.now() - startedAt;
+    return result;
+  }
+  
+  /**
+   * Probe until the app answers as expected, giving up after `retries`
+   * attempts `intervalMs` apart
+   */
+  async waitUntilHealthy(port, definition) {
+    let result = null;
+    
+    for (let attempt = 1; attempt <= definition.retries; attempt++) {
+      result = await this.probe(port, definition);
+      
+      if (result.status === 'healthy') {
+        return { ...result, attempts: attempt };
+      }
+      
+      if (attempt < definition.retries) {
+        await new Promise(resolve => setTimeout(resolve, definition.intervalMs));
+      }
+    }
+    
+    throw new Error(`Application did not become healthy after ${definition.retries} checks of ${definition.path}: ${result.error}`);
+  }
+}
+
+module.exports = new HealthService();
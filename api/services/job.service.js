@@ -0,0 +1,196 @@
+const { pool } = require('../config/database');
+const tenantService = require('./tenant.service');
+const HttpError = require('../utils/http-error');
+
+class JobService {
+  
+  /**
+   * Create a job and run its handler in the background.
+   * The handler receives a runner with step(name, fn, options) that records
+   * progress of each step; its return value becomes the job result.
+   */
+  async start(type, options, handler) {
+    const { containerId = null, ownerId = null, serviceName = null, steps = [] } = options;
+    const jobSteps = steps.map(name => ({ name, status: 'pending' }));
+    
+    const [result] = await pool.query(
+      `INSERT INTO jobs (type, container_id, owner_id, service_name, status, steps)
+       VALUES (?, ?, ?, ?, 'queued', ?)`,
+      [type, containerId, ownerId, serviceName, JSON.stringify(jobSteps)]
+    );
+    
+    const jobId = result.insertId;
+    
+    setImmediate(() => this.run(jobId, jobSteps, handler));
+    
+    return {
+      jobId,
+      type,
+      status: 'queued',
+      containerId,
+      steps: jobSteps,
+      statusUrl: `/api/jobs/${jobId}`
+    };
+  }
+  
+  async run(jobId, steps, handler) {
+    const runner = {
+      id: jobId,
+      step: (name, fn, options) => this.runStep(jobId, steps, name, fn, options),
+      setContainer: (containerId) => pool.query('UPDATE jobs SET container_id = ? WHERE id = ?', [containerId, jobId])
+    };
+    
+    // The handler runs even when the status cannot be recorded, it releases
+    // what its caller reserved (identifier claims, quota) when it ends
+    await pool.query('UPDATE jobs SET status = "running", started_at = NOW() WHERE id = ?', [jobId])
+      .catch(dbError => console.error(`⚠️  Could not mark job ${jobId} as running:`, dbError.message));
+    
+    try {
+      const result = await handler(runner);
+      
+      await pool.query(
+        'UPDATE jobs SET status = "succeeded", result = ?, finished_at = NOW() WHERE id = ?',
+        [JSON.stringify(result ?? null), jobId]
+      );
+      console.log(`✅ Job ${jobId} succeeded`);
+    } catch (error) {
+      console.error(`❌ Job ${jobId} failed:`, error.message);
+      
+      // Steps that never ran are skipped
+      steps.filter(step => step.status === 'pending').forEach(step => { step.status = 'skipped'; });
+      
+      await pool.query(
+        'UPDATE jobs SET status = "failed", error = ?, steps = ?, finished_at = NOW() WHERE id = ?',
+        [error.message, JSON.stringify(steps), jobId]
+      ).catch(dbError => console.error('⚠️  Could not record job failure:', dbError.message));
+    }
+  }
+  
+  /**
+   * Run one step and persist its status. Optional steps record their
+   * failure but do not fail the job (returns null instead).
+   */
+  async runStep(jobId, steps, name, fn, options = {}) {
+    let step = steps.find(s => s.name === name);
+    if (!step) {
+      step = { name };
+      steps.push(step);
+    }
+    
+    step.status = 'running';
+    step.startedAt = new Date().toISOString();
+    await this.saveSteps(jobId, steps);
+    
+    try {
+      const result = await fn();
+      step.status = 'done';
+      return result;
+    } catch (error) {
+      step.status = 'failed';
+      step.error = error.message;
+      
+      if (!options.optional) {
+        throw error;
+      }
+      
+      console.warn(`⚠️  Job ${jobId} optional step '${name}' failed:`, error.message);
+      return null;
+    } finally {
+      step.finishedAt = new Date().toISOString();
+      await this.saveSteps(jobId, steps);
+    }
+  }
+  
+  async saveSteps(jobId, steps) {
+    try {
+      await pool.query('UPDATE jobs SET steps = ? WHERE id = ?', [JSON.stringify(steps), jobId]);
+    } catch (error) {
+      console.error(`⚠️  Could not save progress of job ${jobId}:`, error.message);
+    }
+  }
+  
+  /**
+   * Runner for operations executed outside of a job (e.g. scheduled backups)
+   */
+  inline() {
+    return {
+      id: null,
+      step: async (name, fn, options = {}) => {
+        try {
+          return await fn();
+        } catch (error) {
+          if (!options.optional) {
+            throw error;
+          }
+          console.warn(`⚠️  Optional step '${name}' failed:`, error.message);
+          return null;
+        }
+      },
+      setContainer: async () => {}
+    };
+  }
+  
+  async getJob(id, tenant) {
+    let query = 'SELECT * FROM jobs WHERE id = ?';
+    const params = [id];
+    
+    if (tenant && !tenantService.isAdmin(tenant)) {
+      query += ' AND owner_id = ?';
+      params.push(tenant.id);
+    }
+    
+    const [jobs] = await pool.query(query, params);
+    
+    if (jobs.length === 0) {
+      throw new HttpError(404, 'Job not found');
+    }
+    
+    return jobs[0];
+  }
+  
+  async listJobs(filters = {}, tenant) {
+    let query = 'SELECT * FROM jobs WHERE 1 = 1';
+    const params = [];
+    
+    if (tenant && !tenantService.isAdmin(tenant)) {
+      query += ' AND owner_id = ?';
+      params.push(tenant.id);
+    }
+    
+    if (filters.containerId) {
+      query += ' AND container_id = ?';
+      params.push(filters.containerId);
+    }
+    
+    if (filters.type) {
+      query += ' AND type = ?';
+      params.push(filters.type);
+    }
+    
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+    
+    query += ' ORDER BY created_at DESC, id DESC LIMIT 100';
+    
+    const [jobs] = await pool.query(query, params);
+    return jobs;
+  }
+  
+  /**
+   * Mark jobs left running by a previous server process as failed
+   */
+  async failInterruptedJobs() {
+    const [result] = await pool.query(
+      `UPDATE jobs SET status = "failed", error = "Interrupted by server restart", finished_at = NOW()
+       WHERE status IN ("queued", "running")`
+    );
+    
+    if (result.affectedRows > 0) {
+      console.warn(`⚠️  Marked ${result.affectedRows} interrupted job(s) as failed`);
+    }
+  }
+}
+
+module.exports = new JobService();
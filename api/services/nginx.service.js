@@ -0,0 +1,306 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { X509Certificate } = require('crypto');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+
+const execAsync = promisify(exec);
+
+// First line of every managed file, holds the site definition as JSON
+const HEADER = '# no-pod site ';
+
+/**
+ * Reverse proxy provider writing plain NGINX server blocks, one file per
+ * site, and issuing certificates with certbot (webroot challenge).
+ */
+class NginxService {
+  constructor() {
+    this.name = 'nginx';
+    this.sitesDir = process.env.NGINX_SITES_DIR || '/etc/nginx/conf.d/no-pod';
+    this.testCommand = process.env.NGINX_TEST_COMMAND || 'nginx -t';
+    this.reloadCommand = process.env.NGINX_RELOAD_COMMAND || 'nginx -s reload';
+    this.acmeRoot = process.env.NGINX_ACME_ROOT || '/var/www/letsencrypt';
+    this.certsDir = process.env.NGINX_CERTS_DIR || '/etc/letsencrypt/live';
+    this.sslEmail = process.env.SSL_EMAIL || process.env.FASTPANEL_SSL_EMAIL;
+  }
+  
+  sitePath(domain) {
+    return path.join(this.sitesDir, `${domain}.conf`);
+  }
+  
+  /**
+   * Read the site definition from a managed file, null if it does not exist
+   */
+  async readSite(domain) {
+    try {
+      const content = await fs.readFile(this.sitePath(domain), 'utf-8');
+      const header = content.split('\n')[0];
+      return header.startsWith(HEADER) ? JSON.parse(header.slice(HEADER.length)) : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Write the server blocks of a site, validate the configuration and
+   * reload NGINX. The previous file is restored if validation fails.
+   */
+  async writeSite(site) {
+    const filePath = this.sitePath(site.domain);
+    const previous = await fs.readFile(filePath, 'utf-8').catch(() => null);
+    
+    await fs.mkdir(this.sitesDir, { recursive: true });
+    await fs.writeFile(filePath, this.render(site));
+    
+    try {
+      await execAsync(this.testCommand);
+    } catch (error) {
+      if (previous === null) {
+        await fs.rm(filePath, { force: true });
+      } else {
+        await fs.writeFile(filePath, previous);
+      }
+      throw new Error(`NGINX configuration test failed: ${error.stderr || error.message}`);
+    }
+    
+    await execAsync(this.reloadCommand);
+  }
+  
+  render(site) {
+    const upstream = `http://127.0.0.1:${site.port}`;
+    const names = [site.domain, `www.${site.domain}`, ...site.aliases];
+    const location = [
+      '    location / {',
+      `        proxy_pass ${upstream};`,
+      '        proxy_http_version 1.1;',
+      '        proxy_set_header Host $host;',
+      '        proxy_set_header X-Real-IP $remote_addr;',
+      '        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;',
+      '        proxy_set_header X-Forwarded-Proto $scheme;',
+      '        proxy_set_header Upgrade $http_upgrade;',
+      '        proxy_set_header Connection "upgrade";',
+      '        proxy_read_timeout 300s;',
+      '    }'
+    ];
+    const acme = [
+      '    location /.well-known/acme-challenge/ {',
+      `        root ${this.acmeRoot};`,
+      '    }'
+    ];
+    
+    const blocks = [
+      `${HEADER}${JSON.stringify(site)}`,
+      '# Managed by the container automation API, changes are overwritten',
+      'server {',
+      '    listen 80;',
+      `    server_name ${names.join(' ')};`,
+      ...acme,
+      ...location,
+      '}'
+    ];
+    
+    // One HTTPS server per issued certificate
+    for (const certificate of site.certificates) {
+      const certDir = path.join(this.certsDir, certificate);
+      blocks.push(
+        '',
+        'server {',
+        '    listen 443 ssl http2;',
+        `    server_name ${certificate};`,
+        `    ssl_certificate ${path.join(certDir, 'fullchain.pem')};`,
+        `    ssl_certificate_key ${path.join(certDir, 'privkey.pem')};`,
+        ...location,
+        '}'
+      );
+    }
+    
+    return blocks.join('\n') + '\n';
+  }
+  
+  toSiteInfo(site) {
+    return {
+      siteId: site.domain,
+      domain: site.domain,
+      upstream: `http://127.0.0.1:${site.port}`,
+      aliases: site.aliases,
+      certificates: site.certificates
+    };
+  }
+  
+  async createSite(domain, port) {
+    await this.writeSite({ domain, port, aliases: [], certificates: [] });
+    console.log(`✅ NGINX site created: ${domain} → port ${port}`);
+    
+    return {
+      siteId: domain,
+      domain,
+      status: 'created',
+      upstream: `http://127.0.0.1:${port}`
+    };
+  }
+  
+  /**
+   * Actions createSite would perform, used by dry runs
+   */
+  planSite(domain, port) {
+    return [
+      { action: 'site_create', provider: this.name, domain, file: this.sitePath(domain), upstream: `http://127.0.0.1:${port}` },
+      { action: 'nginx_reload', provider: this.name, test: this.testCommand, reload: this.reloadCommand }
+    ];
+  }
+  
+  async deleteSite(domain) {
+    const site = await this.readSite(domain);
+    
+    if (!site) {
+      console.log(`⚠️  Site ${domain} not found in ${this.sitesDir}`);
+      return { status: 'not_found' };
+    }
+    
+    await fs.rm(this.sitePath(domain), { force: true });
+    await execAsync(this.reloadCommand);
+    console.log(`✅ NGINX site deleted: ${domain}`);
+    
+    return { siteId: domain, domain, status: 'deleted' };
+  }
+  
+  async updateUpstream(domain, newPort) {
+    const site = await this.readSite(domain);
+    
+    if (!site) {
+      throw new Error(`Site ${domain} not found`);
+    }
+    
+    await this.writeSite({ ...site, port: newPort });
+    console.log(`✅ NGINX site updated: ${domain} → port ${newPort}`);
+    
+    return { siteId: domain, domain, port: newPort, status: 'updated' };
+  }
+  
+  async listSites() {
+    const files = await fs.readdir(this.sitesDir).catch(() => []);
+    const sites = [];
+    
+    for (const file of files.filter(f => f.endsWith('.conf'))) {
+      const site = await this.readSite(file.slice(0, -'.conf'.length));
+      if (site) {
+        sites.push(this.toSiteInfo(site));
+      }
+    }
+    
+    return sites;
+  }
+  
+  async getSiteInfo(domain) {
+    const site = await this.readSite(domain);
+    return site ? this.toSiteInfo(site) : null;
+  }
+  
+  async addAlias(domain, alias) {
+    const site = await this.readSite(domain);
+    
+    if (!site) {
+      throw new Error(`Site ${domain} not found`);
+    }
+    
+    await this.writeSite({ ...site, aliases: [...site.aliases.filter(a => a !== alias), alias] });
+    console.log(`✅ NGINX alias added: ${alias} → ${domain}`);
+    
+    return { siteId: domain, domain, alias, status: 'updated' };
+  }
+  
+  async removeAlias(domain, alias) {
+    const site = await this.readSite(domain);
+    
+    if (!site) {
+      console.log(`⚠️  Site ${domain} not found in ${this.sitesDir}`);
+      return { status: 'not_found' };
+    }
+    
+    await this.writeSite({
+      ...site,
+      aliases: site.aliases.filter(a => a !== alias),
+      certificates: site.certificates.filter(c => c !== alias)
+    });
+    console.log(`✅ NGINX alias removed: ${alias} from ${domain}`);
+    
+    return { siteId: domain, domain, alias, status: 'removed' };
+  }
+  
+  /**
+   * DNS is managed outside of NGINX, certificates can be requested right away
+   */
+  async waitForDns() {}
+  
+  /**
+   * Issue a certificate with certbot and add an HTTPS server for it.
+   * `siteId` is the primary domain of the site.
+   */
+  async issueCertificate(domain, siteId) {
+    const site = await this.readSite(siteId || domain);
+    
+    if (!site) {
+      throw new Error(`Site ${siteId || domain} not found`);
+    }
+    
+    const email = this.sslEmail ? `-m ${this.sslEmail}` : '--register-unsafely-without-email';
+    try {
+      await execAsync(
+        `certbot certonly --webroot -w ${this.acmeRoot} -d ${domain} --non-interactive --agree-tos --keep-until-expiring ${email}`
+      );
+    } catch (error) {
+      console.error('❌ Certificate request error:', error.stderr || error.message);
+      throw new Error(`certbot failed: ${(error.stderr || error.message).trim()}`);
+    }
+    
+    await this.writeSite({ ...site, certificates: [...site.certificates.filter(c => c !== domain), domain] });
+    console.log(`✅ Certificate issued for: ${domain}`);
+    
+    return {
+      certificateId: domain,
+      domain,
+      status: 'issued',
+      expiresAt: await this.getCertificateExpiry(domain)
+    };
+  }
+  
+  /**
+   * Certificates are issued synchronously, only the expiry can change
+   * (certbot renewals)
+   */
+  async getCertificate(certificateId) {
+    const expiresAt = await this.getCertificateExpiry(certificateId);
+    
+    return {
+      certificateId,
+      status: expiresAt ? 'issued' : 'failed',
+      expiresAt,
+      error: expiresAt ? null : `No certificate found in ${path.join(this.certsDir, certificateId)}`
+    };
+  }
+  
+  async getCertificateExpiry(domain) {
+    try {
+      const pem = await fs.readFile(path.join(this.certsDir, domain, 'fullchain.pem'));
+      return new Date(new X509Certificate(pem).validTo).toISOString();
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  async testConnection() {
+    try {
+      await execAsync(this.testCommand);
+      console.log('✅ NGINX configuration is valid');
+      return true;
+    } catch (error) {
+      console.error('❌ NGINX configuration test failed:', error.stderr || error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = new NginxService();
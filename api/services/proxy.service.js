@@ -0,0 +1,28 @@
+/**
+ * Reverse proxy provider selected with PROXY_PROVIDER (fastpanel or nginx).
+ *
+ * Every provider implements:
+ *   createSite(domain, port)         → { siteId, domain, upstream, status }
+ *   deleteSite(domain, options)      → { status }, options.removeDns also drops the DNS domain of the site
+ *   updateUpstream(domain, port)     → { siteId, domain, port, status }
+ *   issueCertificate(domain, siteId) → { certificateId, domain, status, expiresAt }, throws on failure
+ *   getCertificate(certificateId)    → { certificateId, status, expiresAt, error }
+ *   getSiteInfo(domain)              → { siteId, domain, upstream, aliases } or null
+ *   listSites()                      → [{ siteId, domain, upstream, aliases }]
+ *   addAlias(domain, alias), removeAlias(domain, alias)
+ *   waitForDns()                     → resolves once a certificate can be requested
+ *   testConnection()                 → true when the provider is usable
+ *   planSite(domain, port)           → actions createSite would perform, for dry runs
+ */
+const PROVIDERS = {
+  fastpanel: () => require('./fastpanel.service'),
+  nginx: () => require('./nginx.service')
+};
+
+const providerName = process.env.PROXY_PROVIDER || 'fastpanel';
+
+if (!PROVIDERS[providerName]) {
+  throw new Error(`Unknown PROXY_PROVIDER '${providerName}', use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+module.exports = PROVIDERS[providerName]();
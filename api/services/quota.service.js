@@ -0,0 +1,234 @@
+const { pool } = require('../config/database');
+const dockerService = require('./docker.service');
+const tenantService = require('./tenant.service');
+const HttpError = require('../utils/http-error');
+
+const FIELDS = ['maxContainers', 'maxCpu', 'maxMemory', 'maxBackups', 'maxBackupDisk'];
+
+class QuotaService {
+  constructor() {
+    // Containers being provisioned, not in the containers table yet, keyed by
+    // numeric tenant id (admins pass owner ids from the request body)
+    this.pending = new Map();
+  }
+  
+  /**
+   * Default quota from QUOTA_* environment variables, unset means unlimited
+   */
+  getDefaults() {
+    const read = (name, parse) => process.env[name] ? parse(process.env[name]) : null;
+    
+    return {
+      maxContainers: read('QUOTA_MAX_CONTAINERS', parseInt),
+      maxCpu: read('QUOTA_MAX_CPU', parseFloat),
+      maxMemory: read('QUOTA_MAX_MEMORY', String),
+      maxBackups: read('QUOTA_MAX_BACKUPS', parseInt),
+      maxBackupDisk: read('QUOTA_MAX_BACKUP_DISK', String)
+    };
+  }
+  
+  async getQuota(tenantId) {
+    const [rows] = await pool.query('SELECT * FROM tenant_quotas WHERE tenant_id = ?', [tenantId]);
+    
+    if (rows.length === 0) {
+      return { ...this.getDefaults(), custom: false };
+    }
+    
+    const row = rows[0];
+    return {
+      maxContainers: row.max_containers,
+      maxCpu: row.max_cpu === null ? null : parseFloat(row.max_cpu),
+      maxMemory: row.max_memory,
+      maxBackups: row.max_backups,
+      maxBackupDisk: row.max_backup_disk,
+      custom: true
+    };
+  }
+  
+  /**
+   * Set the quota of a tenant. Omitted fields keep their current value,
+   * null means unlimited.
+   */
+  async setQuota(tenantId, values) {
+    await tenantService.getTenant(tenantId);
+    const current = await this.getQuota(tenantId);
+    const quota = {};
+    
+    for (const field of FIELDS) {
+      quota[field] = values[field] === undefined ? current[field] : values[field];
+    }
+    
+    this.validateQuota(quota);
+    
+    await pool.query(
+      `INSERT INTO tenant_quotas (tenant_id, max_containers, max_cpu, max_memory, max_backups, max_backup_disk)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE max_containers = VALUES(max_containers), max_cpu = VALUES(max_cpu),
+         max_memory = VALUES(max_memory), max_backups = VALUES(max_backups), max_backup_disk = VALUES(max_backup_disk)`,
+      [tenantId, quota.maxContainers, quota.maxCpu, quota.maxMemory, quota.maxBackups, quota.maxBackupDisk]
+    );
+    
+    return this.getQuota(tenantId);
+  }
+  
+  async resetQuota(tenantId) {
+    await tenantService.getTenant(tenantId);
+    await pool.query('DELETE FROM tenant_quotas WHERE tenant_id = ?', [tenantId]);
+    return this.getQuota(tenantId);
+  }
+  
+  validateQuota(quota) {
+    for (const field of ['maxContainers', 'maxBackups']) {
+      if (quota[field] !== null && (!Number.isInteger(quota[field]) || quota[field] < 0)) {
+        throw new HttpError(400, `${field} must be a non-negative integer or null`);
+      }
+    }
+    
+    if (quota.maxCpu !== null && !(parseFloat(quota.maxCpu) >= 0)) {
+      throw new HttpError(400, 'maxCpu must be a non-negative number or null');
+    }
+    
+    for (const field of ['maxMemory', 'maxBackupDisk']) {
+      if (quota[field] !== null && !/^\d+[MG]$/i.test(String(quota[field]))) {
+        throw new HttpError(400, `${field} must look like 512M or 8G, or be null`);
+      }
+    }
+  }
+  
+  /**
+   * Current usage of a tenant, optionally without one container or one
+   * pending reservation
+   */
+  async getUsage(tenantId, excludeContainerId = null, excludeReservation = null) {
+    const [containers] = await pool.query(
+      'SELECT id, cpu_limit, memory_limit FROM containers WHERE owner_id = ? AND status != "deleted"',
+      [tenantId]
+    );
+    const [backups] = await pool.query(
+      `SELECT COUNT(*) AS count, COALESCE(SUM(b.size_bytes), 0) AS bytes
+       FROM backups b JOIN containers c ON c.id = b.container_id
+       WHERE c.owner_id = ?`,
+      [tenantId]
+    );
+    
+    const counted = [
+      ...containers.filter(c => c.id !== excludeContainerId).map(c => ({ cpu: c.cpu_limit, memory: c.memory_limit })),
+      ...(this.pending.get(Number(tenantId)) || []).filter(e => e !== excludeReservation)
+    ];
+    
+    return {
+      containers: counted.length,
+      cpu: Number(counted.reduce((total, c) => total + parseFloat(c.cpu), 0).toFixed(2)),
+      memoryBytes: counted.reduce((total, c) => total + dockerService.parseMemory(c.memory), 0),
+      backups: backups[0].count,
+      backupBytes: Number(backups[0].bytes)
+    };
+  }
+  
+  async getQuotaUsage(tenantId) {
+    if (tenantId === null || tenantId === undefined) {
+      throw new HttpError(400, 'The bootstrap admin key has no quota');
+    }
+    
+    await tenantService.getTenant(tenantId);
+    
+    return {
+      tenantId,
+      quota: await this.getQuota(tenantId),
+      usage: await this.getUsage(tenantId)
+    };
+  }
+  
+  /**
+   * Check that a new container fits in the owner's quota and reserve its
+   * resources until provisioning finishes. Returns a release function.
+   */
+  async reserve(ownerId, resources) {
+    if (!ownerId) {
+      return () => {};
+    }
+    
+    // Reserve before the check awaits anything so concurrent creates count
+    // each other. The check leaves this entry out, it adds the resources itself.
+    const key = Number(ownerId);
+    const pending = this.pending.get(key) || [];
+    const entry = { cpu: resources.cpu, memory: resources.memory };
+    pending.push(entry);
+    this.pending.set(key, pending);
+    
+    const release = () => {
+      const remaining = (this.pending.get(key) || []).filter(e => e !== entry);
+      if (remaining.length > 0) {
+        this.pending.set(key, remaining);
+      } else {
+        this.pending.delete(key);
+      }
+    };
+    
+    try {
+      await this.checkResources(ownerId, resources, { newContainer: true, reservation: entry });
+    } catch (error) {
+      release();
+      throw error;
+    }
+    
+    return release;
+  }
+  
+  /**
+   * Check container count, CPU and memory totals. For resizes, `container`
+   * is the current record and only increased limits are checked.
+   * `reservation` is a pending entry of the caller that is not counted twice.
+   */
+  async checkResources(ownerId, resources, { newContainer = false, container = null, reservation = null } = {}) {
+    if (!ownerId) {
+      return;
+    }
+    
+    const quota = await this.getQuota(ownerId);
+    const usage = await this.getUsage(ownerId, container?.id ?? null, reservation);
+    const cpu = parseFloat(resources.cpu);
+    const memoryBytes = dockerService.parseMemory(resources.memory);
+    const errors = [];
+    
+    if (newContainer && quota.maxContainers !== null && usage.containers + 1 > quota.maxContainers) {
+      errors.push(`container limit of ${quota.maxContainers} reached`);
+    }
+    
+    const cpuIncreased = !container || cpu > parseFloat(container.cpu_limit);
+    if (quota.maxCpu !== null && cpuIncreased && usage.cpu + cpu > quota.maxCpu) {
+      errors.push(`total CPU would be ${Number((usage.cpu + cpu).toFixed(2))}, quota is ${quota.maxCpu}`);
+    }
+    
+    const memoryIncreased = !container || memoryBytes > dockerService.parseMemory(container.memory_limit);
+    if (quota.maxMemory !== null && memoryIncreased && usage.memoryBytes + memoryBytes > dockerService.parseMemory(quota.maxMemory)) {
+      errors.push(`total memory would be ${Math.round((usage.memoryBytes + memoryBytes) / 1048576)}M, quota is ${quota.maxMemory}`);
+    }
+    
+    if (errors.length > 0) {
+      throw new HttpError(403, `Quota exceeded: ${errors.join('; ')}`);
+    }
+  }
+  
+  /**
+   * Check backup count and disk usage before creating a backup
+   */
+  async checkBackups(ownerId) {
+    if (!ownerId) {
+      return;
+    }
+    
+    const quota = await this.getQuota(ownerId);
+    const usage = await this.getUsage(ownerId);
+    
+    if (quota.maxBackups !== null && usage.backups >= quota.maxBackups) {
+      throw new HttpError(403, `Quota exceeded: backup limit of ${quota.maxBackups} reached, delete old backups first`);
+    }
+    
+    if (quota.maxBackupDisk !== null && usage.backupBytes >= dockerService.parseMemory(quota.maxBackupDisk)) {
+      throw new HttpError(403, `Quota exceeded: backups use ${Math.round(usage.backupBytes / 1048576)}M of ${quota.maxBackupDisk}`);
+    }
+  }
+}
+
+module.exports = new QuotaService();
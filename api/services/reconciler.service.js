@@ -0,0 +1,239 @@
+const path = require('path');
+const { pool } = require('../config/database');
+const dockerService = require('./docker.service');
+const proxyService = require('./proxy.service');
+const certificateService = require('./certificate.service');
+
+const PORT_RANGE_START = parseInt(process.env.PORT_RANGE_START || '14000');
+const PORT_RANGE_END = parseInt(process.env.PORT_RANGE_END || '14999');
+
+class Reconciler {
+  constructor() {
+    this.timer = null;
+    this.lastReport = null;
+    this.running = false;
+  }
+  
+  /**
+   * Run the reconciler periodically. Fixes are only applied automatically
+   * when RECONCILE_AUTO_FIX=true, otherwise mismatches are only reported.
+   */
+  start() {
+    const minutes = parseInt(process.env.RECONCILE_INTERVAL_MINUTES || '15');
+    const autoFix = process.env.RECONCILE_AUTO_FIX === 'true';
+    
+    if (minutes <= 0) {
+      return;
+    }
+    
+    this.timer = setInterval(() => {
+      this.run({ dryRun: !autoFix })
+        .catch(error => console.error('❌ Reconciliation failed:', error.message));
+    }, minutes * 60 * 1000);
+    
+    console.log(`🔍 Reconciler started (every ${minutes} min, ${autoFix ? 'auto-fix' : 'report only'})`);
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  /**
+   * Compare MySQL, Docker, users/ folders and reverse proxy sites and report
+   * every mismatch. Fixable mismatches are fixed unless dryRun is set.
+   */
+  async run({ dryRun = true } = {}) {
+    if (this.running) {
+      throw new Error('Reconciliation already running');
+    }
+    
+    this.running = true;
+    
+    try {
+      const startedAt = new Date().toISOString();
+      const [activeJobs] = await pool.query('SELECT id FROM jobs WHERE status IN ("queued", "running")');
+      const issues = await this.collectIssues(activeJobs);
+      
+      // Running jobs cause transient mismatches, never fix while they run
+      const skipped = !dryRun && activeJobs.length > 0;
+      
+      if (!dryRun && !skipped) {
+        for (const issue of issues.filter(i => i.fix)) {
+          try {
+            await issue.fix();
+            issue.fixed = true;
+          } catch (error) {
+            issue.fixed = false;
+            issue.error = error.message;
+          }
+        }
+      }
+      
+      const report = {
+        dryRun,
+        skipped: skipped ? `${activeJobs.length} job(s) running, no fixes applied` : undefined,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        summary: {
+          issues: issues.length,
+          fixable: issues.filter(i => i.fix).length,
+          fixed: issues.filter(i => i.fixed).length,
+          failed: issues.filter(i => i.fixed === false).length
+        },
+        issues: issues.map(({ fix, ...issue }) => ({ ...issue, fixable: Boolean(fix) }))
+      };
+      
+      this.lastReport = report;
+      
+      if (issues.length > 0) {
+        console.warn(`⚠️  Reconciliation found ${issues.length} mismatch(es)${dryRun ? '' : `, fixed ${report.summary.fixed}`}`);
+      }
+      
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
+  
+  async collectIssues(activeJobs) {
+    const issues = [];
+    const add = (type, target, detail, fix = null) => issues.push({ type, ...target, detail, fix });
+    
+    const [containers] = await pool.query('SELECT * FROM containers WHERE status != "deleted"');
+    const [ports] = await pool.query('SELECT * FROM port_assignments WHERE is_available = FALSE OR container_id IS NOT NULL');
+    const [domains] = await pool.query('SELECT * FROM container_domains');
+    const dockerContainers = await dockerService.listManagedContainers();
+    const dirs = await dockerService.listContainerDirs();
+    
+    let sites = null;
+    try {
+      sites = await proxyService.listSites();
+    } catch (error) {
+      add('proxy_unavailable', {}, `Proxy sites could not be listed, site checks skipped: ${error.message}`);
+    }
+    
+    const identifiers = new Set(containers.map(c => c.container_identifier));
+    const containerIds = new Set(containers.map(c => c.id));
+    const dockerByName = new Map(dockerContainers.map(d => [d.name, d]));
+    const portsByNumber = new Map(ports.map(p => [p.port, p]));
+    
+    for (const container of containers) {
+      const target = { containerId: container.id, containerIdentifier: container.container_identifier };
+      const hasDir = dirs.includes(container.container_identifier);
+      const dockerContainer = dockerByName.get(container.container_identifier);
+      
+      if (!hasDir) {
+        add('missing_folder', target, `users/${container.container_identifier} does not exist`);
+      }
+      
+      if (!dockerContainer) {
+        add('missing_docker_container', target, 'Docker container does not exist', hasDir ? async () => {
+          const info = await dockerService.composeUp(container.container_identifier);
+          await pool.query(
+            'UPDATE containers SET container_id = ?, status = "running" WHERE id = ?',
+            [info.containerId, container.id]
+          );
+        } : null);
+      } else {
+        const actualStatus = dockerContainer.state === 'running' ? 'running' : 'stopped';
+        
+        if (container.status !== actualStatus) {
+          add('status_mismatch', target, `Database says ${container.status}, Docker says ${dockerContainer.state}`, () => pool.query(
+            'UPDATE containers SET status = ? WHERE id = ?',
+            [actualStatus, container.id]
+          ));
+        }
+        
+        if (container.container_id !== dockerContainer.containerId) {
+          add('container_id_mismatch', target, 'Docker container id changed', () => pool.query(
+            'UPDATE containers SET container_id = ? WHERE id = ?',
+            [dockerContainer.containerId, container.id]
+          ));
+        }
+      }
+      
+      const port = portsByNumber.get(container.port);
+      if (!port || port.is_available || port.container_id !== container.id) {
+        add('port_not_reserved', target, `Port ${container.port} is not reserved for this container`, () => pool.query(
+          'UPDATE port_assignments SET is_available = FALSE, container_id = ? WHERE port = ?',
+          [container.id, container.port]
+        ));
+      }
+      
+      if (sites) {
+        const domain = `${container.subdomain}.${process.env.BASE_DOMAIN}`;
+        const site = sites.find(s => s.domain === domain);
+        
+        if (!site) {
+          add('missing_site', target, `Proxy site ${domain} does not exist`, async () => {
+            const created = await proxyService.createSite(domain, container.port);
+            await pool.query('UPDATE containers SET fastpanel_site_id = ? WHERE id = ?', [created.siteId, container.id]);
+            await certificateService.issue(container.id, domain, created.siteId);
+          });
+        } else if (this.getUpstreamPort(site) !== container.port) {
+          add('site_upstream_mismatch', target, `Site ${domain} proxies to port ${this.getUpstreamPort(site)}, expected ${container.port}`,
+            () => proxyService.updateUpstream(domain, container.port));
+        }
+      }
+    }
+    
+    for (const dockerContainer of dockerContainers) {
+      const identifier = path.basename(dockerContainer.workingDir);
+      
+      if (!identifiers.has(identifier)) {
+        add('orphan_docker_container', { containerIdentifier: identifier },
+          `Docker container ${dockerContainer.name} has no database record`,
+          () => dockerService.composeDown(identifier));
+      }
+    }
+    
+    for (const dir of dirs) {
+      if (!identifiers.has(dir)) {
+        // Never delete data automatically, leave it for manual review
+        add('orphan_folder', { containerIdentifier: dir }, `users/${dir} has no database record`);
+      }
+    }
+    
+    for (const port of ports) {
+      const staleContainer = port.container_id !== null && !containerIds.has(port.container_id);
+      // Reservations without container belong to running create jobs
+      const staleReservation = port.container_id === null && activeJobs.length === 0;
+      
+      if (staleContainer || staleReservation) {
+        add('stale_port_reservation', { port: port.port }, `Port ${port.port} is reserved but not used by an active container`,
+          () => pool.query('UPDATE port_assignments SET is_available = TRUE, container_id = NULL WHERE port = ?', [port.port]));
+      }
+    }
+    
+    if (sites) {
+      const knownDomains = new Set([
+        ...containers.map(c => `${c.subdomain}.${process.env.BASE_DOMAIN}`),
+        ...domains.filter(d => d.mode === 'site').map(d => d.domain)
+      ]);
+      
+      for (const site of sites) {
+        const upstreamPort = this.getUpstreamPort(site);
+        const managed = upstreamPort >= PORT_RANGE_START && upstreamPort <= PORT_RANGE_END;
+        
+        if (managed && !knownDomains.has(site.domain)) {
+          add('orphan_site', { domain: site.domain }, `Proxy site ${site.domain} proxies to port ${upstreamPort} but has no container`,
+            () => proxyService.deleteSite(site.domain));
+        }
+      }
+    }
+    
+    return issues;
+  }
+  
+  /**
+   * Extract the local port from a site's reverse proxy upstream
+   */
+  getUpstreamPort(site) {
+    const address = site.upstream || '';
+    const match = /:(\d+)\/?$/.exec(address);
+    return match ? parseInt(match[1]) : null;
+  }
+}
+
+module.exports = new Reconciler();
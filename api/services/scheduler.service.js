@@ -0,0 +1,110 @@
+const cron = require('node-cron');
+const { pool } = require('../config/database');
+const containerService = require('./container.service');
+const backupService = require('./backup.service');
+const webhookService = require('./webhook.service');
+
+// Re-read schedules periodically to pick up new and deleted containers
+const SYNC_INTERVAL = 5 * 60 * 1000;
+
+class BackupScheduler {
+  constructor() {
+    // containerId -> { cronExpression, task }
+    this.tasks = new Map();
+    this.running = new Set();
+    this.syncTimer = null;
+  }
+  
+  /**
+   * Start scheduling backups for all containers
+   */
+  async start() {
+    await this.sync();
+    this.syncTimer = setInterval(() => {
+      this.sync().catch(error => console.error('❌ Backup schedule sync failed:', error.message));
+    }, SYNC_INTERVAL);
+    
+    console.log(`⏰ Backup scheduler started (${this.tasks.size} schedule(s))`);
+  }
+  
+  stop() {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+    
+    for (const { task } of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+  }
+  
+  /**
+   * Reconcile scheduled tasks with the schedules stored in the database
+   */
+  async sync() {
+    const [containers] = await pool.query('SELECT * FROM containers WHERE status != "deleted"');
+    const active = new Set();
+    
+    for (const container of containers) {
+      const schedule = await backupService.resolveSchedule(container);
+      
+      if (!schedule.enabled || !cron.validate(schedule.cronExpression)) {
+        continue;
+      }
+      
+      active.add(container.id);
+      
+      const existing = this.tasks.get(container.id);
+      if (existing && existing.cronExpression === schedule.cronExpression) {
+        continue;
+      }
+      
+      existing?.task.stop();
+      
+      const task = cron.schedule(schedule.cronExpression, () => {
+        this.runBackup(container.id, schedule.cronExpression);
+      });
+      this.tasks.set(container.id, { cronExpression: schedule.cronExpression, task });
+    }
+    
+    // Stop tasks of deleted containers and disabled schedules
+    for (const [containerId, { task }] of this.tasks) {
+      if (!active.has(containerId)) {
+        task.stop();
+        this.tasks.delete(containerId);
+      }
+    }
+  }
+  
+  /**
+   * Run a scheduled backup and record its outcome
+   */
+  async runBackup(containerId, cronExpression) {
+    if (this.running.has(containerId)) {
+      console.warn(`⚠️  Backup of container ${containerId} still running, skipping`);
+      return;
+    }
+    
+    this.running.add(containerId);
+    const startedAt = new Date();
+    
+    let container = null;
+    try {
+      container = await containerService.findContainer(containerId);
+      const backup = await containerService.performBackup(container);
+      await backupService.recordRun({ containerId, backupId: backup.id, cronExpression, status: 'success', startedAt });
+      webhookService.emit('container.backup_completed', container, { scheduled: true, ...backup });
+      console.log(`✅ Scheduled backup created: ${backup.fileName}`);
+    } catch (error) {
+      console.error(`❌ Scheduled backup of container ${containerId} failed:`, error.message);
+      if (container) {
+        webhookService.emit('container.failed', container, { operation: 'backup', scheduled: true, error: error.message });
+      }
+      await backupService.recordRun({ containerId, cronExpression, status: 'failed', error: error.message, startedAt })
+        .catch(recordError => console.error('⚠️  Could not record backup run:', recordError.message));
+    } finally {
+      this.running.delete(containerId);
+    }
+  }
+}
+
+module.exports = new BackupScheduler();
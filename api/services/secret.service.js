@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const HttpError = require('../utils/http-error');
+
+// {{helper}} or {{helper arg}} inside .env.template values
+const HELPER_PATTERN = /\{\{\s*([a-z]+)(?:\s+(\d+))?\s*\}\}/g;
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Generated once per container and stored encrypted
+const GENERATORS = {
+  secret: (length = 32) => Array.from({ length }, () => ALPHABET[crypto.randomInt(ALPHABET.length)]).join(''),
+  hex: (bytes = 32) => crypto.randomBytes(bytes).toString('hex'),
+  uuid: () => crypto.randomUUID()
+};
+
+// Derived from system variables on every render
+const DERIVED = {
+  domain: ({ subdomain }) => `${subdomain}.${process.env.BASE_DOMAIN}`,
+  url: ({ subdomain }) => `https://${subdomain}.${process.env.BASE_DOMAIN}`
+};
+
+class SecretService {
+  
+  /**
+   * Helpers used in a template, keyed by the KEY of their line
+   */
+  collectHelpers(template) {
+    const helpers = [];
+    
+    for (const line of template.split('\n')) {
+      const match = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/.exec(line);
+      if (!match) {
+        continue;
+      }
+      
+      for (const [, name, arg] of match[2].matchAll(HELPER_PATTERN)) {
+        helpers.push({
+          key: match[1],
+          name,
+          arg: arg === undefined ? undefined : parseInt(arg),
+          generated: name in GENERATORS
+        });
+      }
+    }
+    
+    return helpers;
+  }
+  
+  /**
+   * Reject unknown helpers and lines with more than one generated value
+   */
+  validateTemplate(template) {
+    const helpers = this.collectHelpers(template);
+    const unknown = helpers.filter(h => !(h.name in GENERATORS) && !(h.name in DERIVED));
+    
+    if (unknown.length > 0) {
+      throw new HttpError(400, `Unknown template helpers: ${unknown.map(h => h.name).join(', ')}`);
+    }
+    
+    const generatedKeys = helpers.filter(h => h.generated).map(h => h.key);
+    const duplicated = generatedKeys.filter((key, index) => generatedKeys.indexOf(key) !== index);
+    
+    if (duplicated.length > 0) {
+      throw new HttpError(400, `Only one generated value per variable is allowed: ${[...new Set(duplicated)].join(', ')}`);
+    }
+  }
+  
+  /**
+   * Validate the optional adoptSecrets block of a service config.json:
+   * { KEY: { file, jsonKey } }, file relative to the instance data directory
+   */
+  validateAdoption(adoptSecrets) {
+    if (adoptSecrets === undefined) {
+      return;
+    }
+    
+    if (!adoptSecrets || typeof adoptSecrets !== 'object' || Array.isArray(adoptSecrets)) {
+      throw new HttpError(400, 'config.adoptSecrets must be an object');
+    }
+    
+    for (const [key, source] of Object.entries(adoptSecrets)) {
+      const file = source?.file;
+      
+      if (typeof file !== 'string' || file.startsWith('/') || file.split('/').includes('..')) {
+        throw new HttpError(400, `config.adoptSecrets.${key}.file must be a path inside the data directory`);
+      }
+      
+      if (typeof source.jsonKey !== 'string' || !source.jsonKey) {
+        throw new HttpError(400, `config.adoptSecrets.${key}.jsonKey must be a string`);
+      }
+    }
+  }
+  
+  /**
+   * Validate the optional createOnlySecrets list of a service config.json:
+   * variables whose generated value is only created for new instances
+   */
+  validateCreateOnly(createOnlySecrets) {
+    if (createOnlySecrets === undefined) {
+      return;
+    }
+    
+    if (!Array.isArray(createOnlySecrets) || !createOnlySecrets.every(key => typeof key === 'string' && key)) {
+      throw new HttpError(400, 'config.createOnlySecrets must be a list of variable names');
+    }
+  }
+  
+  /**
+   * Generate values for every generated helper of the template that has
+   * no value yet. Existing values are kept unchanged, `skip` keys get none.
+   */
+  generate(template, existing = {}, { skip = [] } = {}) {
+    const secrets = { ...existing };
+    
+    for (const helper of this.collectHelpers(template).filter(h => h.generated)) {
+      if (secrets[helper.key] === undefined && !skip.includes(helper.key)) {
+        secrets[helper.key] = GENERATORS[helper.name](helper.arg);
+      }
+    }
+    
+    return secrets;
+  }
+  
+  /**
+   * Replace helpers in rendered .env content. Lines of `omit` keys whose
+   * generated value is missing are left out.
+   */
+  render(content, { subdomain, secrets = {}, omit = [] }) {
+    return content.split('\n').filter(line => {
+      const match = /^([A-Za-z_][A-Za-z0-9_]*)=/.exec(line);
+      return !match || !omit.includes(match[1]) || secrets[match[1]] !== undefined;
+    }).map(line => {
+      const match = /^([A-Za-z_][A-Za-z0-9_]*)=/.exec(line);
+      
+      return line.replace(HELPER_PATTERN, (placeholder, name) => {
+        if (name in DERIVED) {
+          return DERIVED[name]({ subdomain });
+        }
+        
+        if (name in GENERATORS && match && secrets[match[1]] !== undefined) {
+          return secrets[match[1]];
+        }
+        
+        throw new Error(`No value for template helper ${placeholder}`);
+      });
+    }).join('\n');
+  }
+  
+  /**
+   * Encryption key derived from SECRETS_ENCRYPTION_KEY
+   */
+  getKey() {
+    if (!process.env.SECRETS_ENCRYPTION_KEY) {
+      throw new HttpError(500, 'SECRETS_ENCRYPTION_KEY is not configured, generated values cannot be stored');
+    }
+    
+    return crypto.createHash('sha256').update(process.env.SECRETS_ENCRYPTION_KEY).digest();
+  }
+  
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(value), 'utf-8'), cipher.final()]);
+    
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+  
+  decrypt(payload) {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(), iv);
+    decipher.setAuthTag(tag);
+    
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf-8');
+  }
+  
+  async getSecrets(containerId) {
+    const [rows] = await pool.query(
+      'SELECT var_key, encrypted_value FROM container_secrets WHERE container_id = ?',
+      [containerId]
+    );
+    
+    return Object.fromEntries(rows.map(row => [row.var_key, this.decrypt(row.encrypted_value)]));
+  }
+  
+  /**
+   * Store values that are not stored yet, existing values are never replaced
+   */
+  async saveSecrets(containerId, secrets) {
+    for (const [key, value] of Object.entries(secrets)) {
+      await pool.query(
+        'INSERT IGNORE INTO container_secrets (container_id, var_key, encrypted_value) VALUES (?, ?, ?)',
+        [containerId, key, this.encrypt(value)]
+      );
+    }
+  }
+}
+
+module.exports = new SecretService();
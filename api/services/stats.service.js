@@ -0,0 +1,218 @@
+const { pool } = require('../config/database');
+const dockerService = require('./docker.service');
+const HttpError = require('../utils/http-error');
+
+const RESOLUTIONS = {
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '1h': 3600,
+  '6h': 21600,
+  '1d': 86400
+};
+
+const COUNTERS = ['netRxBytes', 'netTxBytes', 'blockReadBytes', 'blockWriteBytes'];
+
+class StatsService {
+  constructor() {
+    this.timer = null;
+    this.sampling = false;
+    this.lastRollupHour = null;
+    // Last cumulative counters per container, used to store per-period deltas
+    this.counters = new Map();
+    this.rawRetentionHours = parseInt(process.env.STATS_RAW_RETENTION_HOURS || '24');
+    this.retentionDays = parseInt(process.env.STATS_RETENTION_DAYS || '30');
+  }
+  
+  /**
+   * Sample every running container each STATS_INTERVAL_SECONDS (0 disables)
+   */
+  start() {
+    const seconds = parseInt(process.env.STATS_INTERVAL_SECONDS || '60');
+    
+    if (seconds <= 0) {
+      return;
+    }
+    
+    this.timer = setInterval(() => {
+      this.sample().catch(error => console.error('❌ Stats sampling failed:', error.message));
+    }, seconds * 1000);
+    
+    console.log(`📈 Stats sampler started (every ${seconds}s)`);
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  async sample() {
+    // Skip when the previous round is still collecting
+    if (this.sampling) {
+      return;
+    }
+    
+    this.sampling = true;
+    
+    try {
+      const [containers] = await pool.query(
+        'SELECT id, container_identifier FROM containers WHERE status = "running"'
+      );
+      
+      for (const container of containers) {
+        try {
+          const stats = await dockerService.getContainerStats(container.container_identifier);
+          await this.recordSample(container.id, stats);
+        } catch (error) {
+          console.warn(`⚠️  Could not sample ${container.container_identifier}:`, error.message);
+        }
+      }
+      
+      // Forget counters of containers that are gone
+      const ids = new Set(containers.map(c => c.id));
+      for (const id of this.counters.keys()) {
+        if (!ids.has(id)) {
+          this.counters.delete(id);
+        }
+      }
+      
+      const hour = Math.floor(Date.now() / 3600000);
+      if (hour !== this.lastRollupHour) {
+        await this.rollup();
+        this.lastRollupHour = hour;
+      }
+    } finally {
+      this.sampling = false;
+    }
+  }
+  
+  async recordSample(containerId, stats) {
+    const previous = this.counters.get(containerId);
+    this.counters.set(containerId, stats);
+    
+    // The first sample only sets the baseline; counters reset on restart
+    const deltas = Object.fromEntries(COUNTERS.map(counter => {
+      if (!previous) {
+        return [counter, 0];
+      }
+      const delta = stats[counter] - previous[counter];
+      return [counter, delta >= 0 ? delta : stats[counter]];
+    }));
+    
+    await pool.query(
+      `INSERT IGNORE INTO container_stats
+       (container_id, resolution, sampled_at, cpu_percent, memory_bytes, memory_max_bytes, memory_limit_bytes,
+        net_rx_bytes, net_tx_bytes, block_read_bytes, block_write_bytes)
+       VALUES (?, 'raw', NOW(), ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        containerId,
+        stats.cpuPercent.toFixed(2),
+        stats.memoryBytes,
+        stats.memoryBytes,
+        stats.memoryLimitBytes,
+        deltas.netRxBytes,
+        deltas.netTxBytes,
+        deltas.blockReadBytes,
+        deltas.blockWriteBytes
+      ]
+    );
+  }
+  
+  /**
+   * Aggregate complete hours of raw samples into hourly rows and drop
+   * samples past their retention. Recomputing an hour is idempotent.
+   */
+  async rollup() {
+    await pool.query(
+      `INSERT INTO container_stats
+       (container_id, resolution, sampled_at, samples, cpu_percent, memory_bytes, memory_max_bytes, memory_limit_bytes,
+        net_rx_bytes, net_tx_bytes, block_read_bytes, block_write_bytes)
+       SELECT container_id, 'hour', FROM_UNIXTIME(FLOOR(UNIX_TIMESTAMP(sampled_at) / 3600) * 3600) AS hour,
+         SUM(samples), SUM(cpu_percent * samples) / SUM(samples), SUM(memory_bytes * samples) / SUM(samples),
+         MAX(memory_max_bytes), MAX(memory_limit_bytes),
+         SUM(net_rx_bytes), SUM(net_tx_bytes), SUM(block_read_bytes), SUM(block_write_bytes)
+       FROM container_stats
+       WHERE resolution = 'raw'
+         AND sampled_at >= FROM_UNIXTIME(FLOOR(UNIX_TIMESTAMP() / 3600) * 3600 - ?)
+         AND sampled_at < FROM_UNIXTIME(FLOOR(UNIX_TIMESTAMP() / 3600) * 3600)
+       GROUP BY container_id, hour
+       ON DUPLICATE KEY UPDATE samples = VALUES(samples), cpu_percent = VALUES(cpu_percent),
+         memory_bytes = VALUES(memory_bytes), memory_max_bytes = VALUES(memory_max_bytes),
+         memory_limit_bytes = VALUES(memory_limit_bytes), net_rx_bytes = VALUES(net_rx_bytes),
+         net_tx_bytes = VALUES(net_tx_bytes), block_read_bytes = VALUES(block_read_bytes),
+         block_write_bytes = VALUES(block_write_bytes)`,
+      [(this.rawRetentionHours - 1) * 3600]
+    );
+    
+    await pool.query(
+      'DELETE FROM container_stats WHERE resolution = "raw" AND sampled_at < NOW() - INTERVAL ? HOUR',
+      [this.rawRetentionHours]
+    );
+    await pool.query(
+      'DELETE FROM container_stats WHERE resolution = "hour" AND sampled_at < NOW() - INTERVAL ? DAY',
+      [this.retentionDays]
+    );
+  }
+  
+  /**
+   * Usage history between `from` and `to` (Unix seconds) grouped into
+   * buckets of `resolution`. Ranges older than the raw retention are
+   * served from hourly rollups, so the resolution is at least 1h there.
+   */
+  async getHistory(containerId, { from, to, resolution = '5m' }) {
+    if (!RESOLUTIONS[resolution]) {
+      throw new HttpError(400, `resolution must be one of: ${Object.keys(RESOLUTIONS).join(', ')}`);
+    }
+    
+    const now = Math.floor(Date.now() / 1000);
+    const end = to ?? now;
+    const start = from ?? end - 24 * 3600;
+    
+    if (start >= end) {
+      throw new HttpError(400, 'from must be before to');
+    }
+    
+    const useRaw = RESOLUTIONS[resolution] < 3600 && start >= now - this.rawRetentionHours * 3600;
+    const bucket = useRaw ? RESOLUTIONS[resolution] : Math.max(RESOLUTIONS[resolution], 3600);
+    
+    const [rows] = await pool.query(
+      `SELECT FLOOR(UNIX_TIMESTAMP(sampled_at) / ?) * ? AS bucket,
+         SUM(samples) AS samples,
+         SUM(cpu_percent * samples) / SUM(samples) AS cpu_percent,
+         SUM(memory_bytes * samples) / SUM(samples) AS memory_bytes,
+         MAX(memory_max_bytes) AS memory_max_bytes,
+         MAX(memory_limit_bytes) AS memory_limit_bytes,
+         SUM(net_rx_bytes) AS net_rx_bytes,
+         SUM(net_tx_bytes) AS net_tx_bytes,
+         SUM(block_read_bytes) AS block_read_bytes,
+         SUM(block_write_bytes) AS block_write_bytes
+       FROM container_stats
+       WHERE container_id = ? AND resolution = ?
+         AND sampled_at >= FROM_UNIXTIME(?) AND sampled_at < FROM_UNIXTIME(?)
+       GROUP BY bucket
+       ORDER BY bucket`,
+      [bucket, bucket, containerId, useRaw ? 'raw' : 'hour', start, end]
+    );
+    
+    return {
+      containerId,
+      from: new Date(start * 1000).toISOString(),
+      to: new Date(end * 1000).toISOString(),
+      resolution: Object.keys(RESOLUTIONS).find(key => RESOLUTIONS[key] === bucket),
+      points: rows.map(row => ({
+        time: new Date(Number(row.bucket) * 1000).toISOString(),
+        samples: Number(row.samples),
+        cpuPercent: Number(Number(row.cpu_percent).toFixed(2)),
+        memoryBytes: Math.round(Number(row.memory_bytes)),
+        memoryMaxBytes: Number(row.memory_max_bytes),
+        memoryLimitBytes: row.memory_limit_bytes === null ? null : Number(row.memory_limit_bytes),
+        netRxBytes: Number(row.net_rx_bytes),
+        netTxBytes: Number(row.net_tx_bytes),
+        blockReadBytes: Number(row.block_read_bytes),
+        blockWriteBytes: Number(row.block_write_bytes)
+      }))
+    };
+  }
+}
+
+module.exports = new StatsService();
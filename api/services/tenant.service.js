@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const HttpError = require('../utils/http-error');
+
+const KEY_PREFIX = 'np_';
+const ROLES = ['admin', 'tenant'];
+
+class TenantService {
+  
+  /**
+   * Hash an API key for storage and lookup
+   */
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+  
+  /**
+   * Resolve the tenant owning an API key, or null if the key is unknown or revoked
+   */
+  async resolveApiKey(apiKey) {
+    // Bootstrap admin key from environment
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (adminKey && apiKey.length === adminKey.length &&
+        crypto.timingSafeEqual(Buffer.from(apiKey), Buffer.from(adminKey))) {
+      return { id: null, name: 'bootstrap-admin', role: 'admin' };
+    }
+    
+    const [keys] = await pool.query(
+      `SELECT k.id AS key_id, t.id, t.name, t.role
+       FROM api_keys k
+       JOIN tenants t ON t.id = k.tenant_id
+       WHERE k.key_hash = ? AND k.revoked_at IS NULL`,
+      [this.hashKey(apiKey)]
+    );
+    
+    if (keys.length === 0) {
+      return null;
+    }
+    
+    const { key_id: keyId, ...tenant } = keys[0];
+    
+    await pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = ?', [keyId]);
+    
+    return tenant;
+  }
+  
+  isAdmin(tenant) {
+    return tenant?.role === 'admin';
+  }
+  
+  async createTenant(data) {
+    const { name, role = 'tenant' } = data;
+    
+    if (!/^[a-zA-Z0-9-_]+$/.test(name)) {
+      throw new HttpError(400, 'Tenant name must contain only letters, numbers, dashes and underscores');
+    }
+    
+    if (!ROLES.includes(role)) {
+      throw new HttpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+    
+    const [existing] = await pool.query('SELECT id FROM tenants WHERE name = ?', [name]);
+    
+    if (existing.length > 0) {
+      throw new HttpError(409, `Tenant '${name}' already exists`);
+    }
+    
+    const [result] = await pool.query(
+      'INSERT INTO tenants (name, role) VALUES (?, ?)',
+      [name, role]
+    );
+    
+    return { id: result.insertId, name, role };
+  }
+  
+  async getTenant(id) {
+    const [tenants] = await pool.query('SELECT * FROM tenants WHERE id = ?', [id]);
+    
+    if (tenants.length === 0) {
+      throw new HttpError(404, 'Tenant not found');
+    }
+    
+    return tenants[0];
+  }
+  
+  async listTenants() {
+    const [tenants] = await pool.query('SELECT * FROM tenants ORDER BY name');
+    return tenants;
+  }
+  
+  /**
+   * Create a new API key. The plain key is only returned here, never stored.
+   */
+  async createApiKey(tenantId, name) {
+    await this.getTenant(tenantId);
+    
+    const apiKey = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const keyPrefix = apiKey.slice(0, 10);
+    
+    const [result] = await pool.query(
+      'INSERT INTO api_keys (tenant_id, name, key_prefix, key_hash) VALUES (?, ?, ?, ?)',
+      [tenantId, name || null, keyPrefix, this.hashKey(apiKey)]
+    );
+    
+    return {
+      id: result.insertId,
+      tenantId: Number(tenantId),
+      name: name || null,
+      keyPrefix,
+      apiKey
+    };
+  }
+  
+  async listApiKeys(tenantId) {
+    await this.getTenant(tenantId);
+    
+    const [keys] = await pool.query(
+      `SELECT id, tenant_id, name, key_prefix, last_used_at, revoked_at, created_at
+       FROM api_keys WHERE tenant_id = ? ORDER BY created_at DESC`,
+      [tenantId]
+    );
+    
+    return keys;
+  }
+  
+  async revokeApiKey(tenantId, keyId) {
+    const [result] = await pool.query(
+      'UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND tenant_id = ? AND revoked_at IS NULL',
+      [keyId, tenantId]
+    );
+    
+    if (result.affectedRows === 0) {
+      throw new HttpError(404, 'API key not found');
+    }
+    
+    return { message: 'API key revoked successfully' };
+  }
+}
+
+module.exports = new TenantService();
@@ -0,0 +1,479 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const axios = require('axios');
+const { pool } = require('../config/database');
+const tenantService = require('./tenant.service');
+const secretService = require('./secret.service');
+const HttpError = require('../utils/http-error');
+
+const EVENTS = [
+  'container.created',
+  'container.started',
+  'container.stopped',
+  'container.restarted',
+  'container.redeployed',
+  'container.upgraded',
+  'container.resized',
+  'container.renamed',
+  'container.env_updated',
+  'container.domain_added',
+  'container.domain_removed',
+  'container.backup_completed',
+  'container.restored',
+  'container.deleted',
+  'container.failed'
+];
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed'];
+
+// Loopback, private, link-local and other non-public ranges
+const PRIVATE_RANGES = new net.BlockList();
+PRIVATE_RANGES.addSubnet('0.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('10.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('100.64.0.0', 10);
+PRIVATE_RANGES.addSubnet('127.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('169.254.0.0', 16);
+PRIVATE_RANGES.addSubnet('172.16.0.0', 12);
+PRIVATE_RANGES.addSubnet('192.168.0.0', 16);
+PRIVATE_RANGES.addAddress('::', 'ipv6');
+PRIVATE_RANGES.addAddress('::1', 'ipv6');
+PRIVATE_RANGES.addSubnet('fc00::', 7, 'ipv6');
+PRIVATE_RANGES.addSubnet('fe80::', 10, 'ipv6');
+
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6');
+    this.backoffSeconds = parseInt(process.env.WEBHOOK_BACKOFF_SECONDS || '30');
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+  }
+  
+  /**
+   * Retry due deliveries every WEBHOOK_RETRY_INTERVAL_SECONDS. Deliveries
+   * interrupted by a restart are sent again.
+   */
+  async start() {
+    const seconds = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS || '30');
+    
+    await pool.query('UPDATE webhook_deliveries SET status = "pending" WHERE status = "sending"');
+    
+    this.timer = setInterval(() => {
+      this.processDue().catch(error => console.error('❌ Webhook retry failed:', error.message));
+    }, seconds * 1000);
+    
+    console.log(`📨 Webhook delivery worker started (every ${seconds}s)`);
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  toSubscription(row) {
+    return {
+      id: row.id,
+      ownerId: row.owner_id,
+      url: row.url,
+      events: row.events,
+      description: row.description,
+      active: Boolean(row.active),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+  
+  /**
+   * Load a subscription, scoped to the tenant unless it is an admin
+   */
+  async findSubscription(id, tenant) {
+    let query = 'SELECT * FROM webhook_subscriptions WHERE id = ?';
+    const params = [id];
+    
+    if (tenant && !tenantService.isAdmin(tenant)) {
+      query += ' AND owner_id = ?';
+      params.push(tenant.id);
+    }
+    
+    const [rows] = await pool.query(query, params);
+    
+    if (rows.length === 0) {
+      throw new HttpError(404, 'Webhook subscription not found');
+    }
+    
+    return rows[0];
+  }
+  
+  async getSubscription(id, tenant) {
+    return this.toSubscription(await this.findSubscription(id, tenant));
+  }
+  
+  async listSubscriptions(tenant) {
+    let query = 'SELECT * FROM webhook_subscriptions';
+    const params = [];
+    
+    if (!tenantService.isAdmin(tenant)) {
+      query += ' WHERE owner_id = ?';
+      params.push(tenant.id);
+    }
+    
+    const [rows] = await pool.query(`${query} ORDER BY created_at DESC`, params);
+    return rows.map(row => this.toSubscription(row));
+  }
+  
+  validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new HttpError(400, 'events must be a non-empty array');
+    }
+    
+    const unknown = events.filter(event => event !== '*' && !EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new HttpError(400, `Unknown events: ${unknown.join(', ')}. Use '*' or: ${EVENTS.join(', ')}`);
+    }
+  }
+  
+  /**
+   * Webhooks of regular tenants may only target public addresses, so the
+   * API cannot be used to reach services on the host or its network
+   */
+  async checkUrl(url, ownerIsAdmin) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new HttpError(400, 'url must be a valid URL');
+    }
+    
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new HttpError(400, 'url must use http or https');
+    }
+    
+    if (ownerIsAdmin || process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true') {
+      return;
+    }
+    
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = net.isIP(hostname) ? [{ address: hostname, family: net.isIP(hostname) }] : await dns.lookup(hostname, { all: true });
+    } catch (error) {
+      throw new HttpError(400, `Host '${hostname}' does not resolve`);
+    }
+    
+    const blocked = addresses.find(({ address, family }) => PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    if (blocked) {
+      throw new HttpError(400, `Host '${hostname}' resolves to non-public address ${blocked.address}`);
+    }
+  }
+  
+  /**
+   * Create a subscription. The signing secret is only returned here.
+   */
+  async createSubscription(data, tenant) {
+    const { url, events = ['*'], description = null } = data;
+    const secret = data.secret || `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    
+    this.validateEvents(events);
+    await this.checkUrl(url, tenantService.isAdmin(tenant));
+    
+    if (typeof secret !== 'string' || secret.length < 16) {
+      throw new HttpError(400, 'secret must be a string of at least 16 characters');
+    }
+    
+    const [result] = await pool.query(
+      `INSERT INTO webhook_subscriptions (owner_id, url, events, secret, description)
+       VALUES (?, ?, ?, ?, ?)`,
+      [tenant.id, url, JSON.stringify(events), secretService.encrypt(secret), description]
+    );
+    
+    return { ...(await this.getSubscription(result.insertId)), secret };
+  }
+  
+  /**
+   * Update url, events, description, active or secret
+   */
+  async updateSubscription(id, data, tenant) {
+    const current = this.toSubscription(await this.findSubscription(id, tenant));
+    const url = data.url ?? current.url;
+    const events = data.events ?? current.events;
+    const description = data.description === undefined ? current.description : data.description;
+    const active = data.active ?? current.active;
+    
+    this.validateEvents(events);
+    await this.checkUrl(url, tenantService.isAdmin(tenant));
+    
+    if (data.secret !== undefined && (typeof data.secret !== 'string' || data.secret.length < 16)) {
+      throw new HttpError(400, 'secret must be a string of at least 16 characters');
+    }
+    
+    await pool.query(
+      'UPDATE webhook_subscriptions SET url = ?, events = ?, description = ?, active = ? WHERE id = ?',
+      [url, JSON.stringify(events), description, Boolean(active), current.id]
+    );
+    
+    if (data.secret !== undefined) {
+      await pool.query('UPDATE webhook_subscriptions SET secret = ? WHERE id = ?', [secretService.encrypt(data.secret), current.id]);
+    }
+    
+    return this.getSubscription(current.id);
+  }
+  
+  async deleteSubscription(id, tenant) {
+    const subscription = await this.findSubscription(id, tenant);
+    await pool.query('DELETE FROM webhook_subscriptions WHERE id = ?', [subscription.id]);
+    
+    return { message: 'Webhook subscription deleted successfully' };
+  }
+  
+  /**
+   * Notify subscribers of an event about a container. Runs in the
+   * background and never throws, webhooks must not break operations.
+   */
+  emit(event, container, data = {}) {
+    this.enqueue(event, container, data)
+      .catch(error => console.error(`⚠️  Could not queue webhook ${event}:`, error.message));
+  }
+  
+  async enqueue(event, container, data) {
+    const ownerId = container.owner_id ?? null;
+    
+    // Admin subscriptions receive every event, tenants only their own
+    const [subscriptions] = await pool.query(
+      `SELECT s.id, s.events FROM webhook_subscriptions s
+       LEFT JOIN tenants t ON t.id = s.owner_id
+       WHERE s.active = TRUE AND (s.owner_id IS NULL OR t.role = 'admin' OR s.owner_id = ?)`,
+      [ownerId]
+    );
+    
+    const payload = {
+      event,
+      createdAt: new Date().toISOString(),
+      container: {
+        id: container.id ?? null,
+        containerIdentifier: container.container_identifier,
+        instanceName: container.instance_name,
+        serviceName: container.service_name,
+        subdomain: container.subdomain,
+        ownerId
+      },
+      data
+    };
+    
+    for (const subscription of subscriptions) {
+      const events = subscription.events;
+      if (!events.includes('*') && !events.includes(event)) {
+        continue;
+      }
+      
+      const [result] = await pool.query(
+        `INSERT INTO webhook_deliveries (subscription_id, event, payload, status, next_attempt_at)
+         VALUES (?, ?, ?, 'pending', NOW())`,
+        [subscription.id, event, JSON.stringify(payload)]
+      );
+      
+      this.attempt(result.insertId)
+        .catch(error => console.error(`⚠️  Webhook delivery ${result.insertId} failed:`, error.message));
+    }
+  }
+  
+  async processDue() {
+    if (this.processing) {
+      return;
+    }
+    
+    this.processing = true;
+    
+    try {
+      const [due] = await pool.query(
+        'SELECT id FROM webhook_deliveries WHERE status = "pending" AND next_attempt_at <= NOW() ORDER BY next_attempt_at LIMIT 50'
+      );
+      
+      for (const delivery of due) {
+        await this.attempt(delivery.id);
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+  
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+  
+  /**
+   * Send one delivery. Failures are retried with exponential backoff until
+   * WEBHOOK_MAX_ATTEMPTS is reached.
+   */
+  async attempt(deliveryId) {
+    // Claim the delivery so the retry worker and emit never send it twice
+    const [claimed] = await pool.query(
+      'UPDATE webhook_deliveries SET status = "sending" WHERE id = ? AND status = "pending"',
+      [deliveryId]
+    );
+    
+    if (claimed.affectedRows === 0) {
+      return;
+    }
+    
+    const [rows] = await pool.query(
+      `SELECT d.*, s.url, s.secret, s.active, s.owner_id, t.role AS owner_role
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       LEFT JOIN tenants t ON t.id = s.owner_id
+       WHERE d.id = ?`,
+      [deliveryId]
+    );
+    const delivery = rows[0];
+    
+    if (!delivery.active) {
+      await this.recordAttempt(delivery, { ok: false, error: 'Subscription is disabled', final: true });
+      return;
+    }
+    
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    
+    try {
+      await this.checkUrl(delivery.url, delivery.owner_id === null || delivery.owner_role === 'admin');
+      
+      const response = await axios.post(delivery.url, body, {
+        timeout: this.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'no-pod-webhooks',
+          'X-Webhook-Id': String(delivery.id),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(secretService.decrypt(delivery.secret), timestamp, body)}`
+        }
+      });
+      
+      const ok = response.status >= 200 && response.status < 300;
+      await this.recordAttempt(delivery, { ok, statusCode: response.status, error: ok ? null : `HTTP ${response.status}` });
+    } catch (error) {
+      await this.recordAttempt(delivery, { ok: false, error: error.message });
+    }
+  }
+  
+  async recordAttempt(delivery, { ok, statusCode = null, error = null, final = false }) {
+    const attempts = delivery.attempts + 1;
+    
+    if (ok) {
+      await pool.query(
+        `UPDATE webhook_deliveries SET status = "delivered", attempts = ?, response_status = ?, last_error = NULL,
+         delivered_at = NOW(), next_attempt_at = NULL WHERE id = ?`,
+        [attempts, statusCode, delivery.id]
+      );
+      return;
+    }
+    
+    if (final || attempts >= this.maxAttempts) {
+      await pool.query(
+        'UPDATE webhook_deliveries SET status = "failed", attempts = ?, response_status = ?, last_error = ?, next_attempt_at = NULL WHERE id = ?',
+        [attempts, statusCode, error, delivery.id]
+      );
+      console.warn(`⚠️  Webhook delivery ${delivery.id} (${delivery.event}) failed after ${attempts} attempt(s): ${error}`);
+      return;
+    }
+    
+    // 30s, 1m, 2m, 4m, ... capped at one hour
+    const delay = Math.min(this.backoffSeconds * 2 ** (attempts - 1), 3600);
+    await pool.query(
+      `UPDATE webhook_deliveries SET status = "pending", attempts = ?, response_status = ?, last_error = ?,
+       next_attempt_at = NOW() + INTERVAL ? SECOND WHERE id = ?`,
+      [attempts, statusCode, error, delay, delivery.id]
+    );
+  }
+  
+  toDelivery(row) {
+    return {
+      id: row.id,
+      subscriptionId: row.subscription_id,
+      event: row.event,
+      status: row.status,
+      attempts: row.attempts,
+      responseStatus: row.response_status,
+      lastError: row.last_error,
+      nextAttemptAt: row.next_attempt_at,
+      deliveredAt: row.delivered_at,
+      createdAt: row.created_at,
+      payload: row.payload
+    };
+  }
+  
+  async listDeliveries(subscriptionId, filters = {}, tenant) {
+    const subscription = await this.findSubscription(subscriptionId, tenant);
+    let query = 'SELECT * FROM webhook_deliveries WHERE subscription_id = ?';
+    const params = [subscription.id];
+    
+    if (filters.status) {
+      if (!DELIVERY_STATUSES.includes(filters.status)) {
+        throw new HttpError(400, `status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+      }
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+    
+    if (filters.event) {
+      query += ' AND event = ?';
+      params.push(filters.event);
+    }
+    
+    const limit = Math.min(parseInt(filters.limit) || 50, 500);
+    const [rows] = await pool.query(`${query} ORDER BY created_at DESC, id DESC LIMIT ?`, [...params, limit]);
+    
+    return rows.map(row => this.toDelivery(row));
+  }
+  
+  /**
+   * Send a delivery again with a fresh set of attempts
+   */
+  async replayDelivery(subscriptionId, deliveryId, tenant) {
+    const subscription = await this.findSubscription(subscriptionId, tenant);
+    
+    const [result] = await pool.query(
+      `UPDATE webhook_deliveries SET status = "pending", attempts = 0, next_attempt_at = NOW()
+       WHERE id = ? AND subscription_id = ? AND status IN ("delivered", "failed")`,
+      [deliveryId, subscription.id]
+    );
+    
+    if (result.affectedRows === 0) {
+      const [rows] = await pool.query(
+        'SELECT status FROM webhook_deliveries WHERE id = ? AND subscription_id = ?',
+        [deliveryId, subscription.id]
+      );
+      
+      if (rows.length === 0) {
+        throw new HttpError(404, 'Delivery not found');
+      }
+      throw new HttpError(409, `Delivery is ${rows[0].status}, only delivered or failed deliveries can be replayed`);
+    }
+    
+    await this.attempt(deliveryId);
+    
+    const [rows] = await pool.query('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+    return this.toDelivery(rows[0]);
+  }
+  
+  /**
+   * Queue every failed delivery of a subscription again
+   */
+  async replayFailed(subscriptionId, tenant) {
+    const subscription = await this.findSubscription(subscriptionId, tenant);
+    
+    const [result] = await pool.query(
+      `UPDATE webhook_deliveries SET status = "pending", attempts = 0, next_attempt_at = NOW()
+       WHERE subscription_id = ? AND status = "failed"`,
+      [subscription.id]
+    );
+    
+    this.processDue().catch(error => console.error('❌ Webhook retry failed:', error.message));
+    
+    return { message: 'Failed deliveries queued for replay', queued: result.affectedRows };
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,8 @@
+-- Add tenant ownership to containers created before API key authentication.
+-- Run after schema.sql has created the tenants and api_keys tables.
+USE container_automation;
+
+ALTER TABLE containers
+  ADD COLUMN owner_id INT AFTER service_name,
+  ADD CONSTRAINT fk_containers_owner FOREIGN KEY (owner_id) REFERENCES tenants(id) ON DELETE SET NULL,
+  ADD INDEX idx_owner (owner_id);
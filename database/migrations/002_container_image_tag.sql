@@ -0,0 +1,8 @@
+-- Pin the image tag of every container. Containers created before were
+-- started from the untagged template image, which is the latest tag.
+USE container_automation;
+
+ALTER TABLE containers
+  ADD COLUMN image_tag VARCHAR(128) AFTER memory_limit;
+
+UPDATE containers SET image_tag = 'latest' WHERE image_tag IS NULL;
@@ -0,0 +1,6 @@
+-- Image ID every container was started from. Tags like latest move when
+-- pulled again, the ID lets an upgrade roll back to the image it replaced.
+USE container_automation;
+
+ALTER TABLE containers
+  ADD COLUMN image_id VARCHAR(100) AFTER image_tag;
@@ -0,0 +1,6 @@
+-- Service of create and clone jobs, so a service template is not deleted
+-- while a container of it is still being provisioned.
+USE container_automation;
+
+ALTER TABLE jobs
+  ADD COLUMN service_name VARCHAR(50) AFTER owner_id;
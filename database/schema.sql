@@ -11,25 +11,62 @@ CREATE TABLE IF NOT EXISTS services (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE IF NOT EXISTS tenants (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  role ENUM('admin', 'tenant') DEFAULT 'tenant',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-tenant quota overriding the QUOTA_* defaults, NULL means unlimited
+CREATE TABLE IF NOT EXISTS tenant_quotas (
+  tenant_id INT PRIMARY KEY,
+  max_containers INT NULL,
+  max_cpu DECIMAL(6,2) NULL,
+  max_memory VARCHAR(20) NULL,
+  max_backups INT NULL,
+  max_backup_disk VARCHAR(20) NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tenant_id INT NOT NULL,
+  name VARCHAR(100),
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash CHAR(64) UNIQUE NOT NULL,
+  last_used_at TIMESTAMP NULL,
+  revoked_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  INDEX idx_tenant (tenant_id)
+);
+
 CREATE TABLE IF NOT EXISTS containers (
   id INT AUTO_INCREMENT PRIMARY KEY,
   container_id VARCHAR(100) UNIQUE,
   container_identifier VARCHAR(150) UNIQUE NOT NULL,
   instance_name VARCHAR(100) NOT NULL,
   service_name VARCHAR(50) NOT NULL,
+  owner_id INT,
   subdomain VARCHAR(150) UNIQUE NOT NULL,
   port INT UNIQUE NOT NULL,
   status ENUM('running', 'stopped', 'deleted') DEFAULT 'stopped',
   cpu_limit VARCHAR(10),
   memory_limit VARCHAR(20),
+  image_tag VARCHAR(128),
+  image_id VARCHAR(100),
   data_path VARCHAR(255),
   fastpanel_site_id VARCHAR(100),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   FOREIGN KEY (service_name) REFERENCES services(name) ON DELETE CASCADE,
+  FOREIGN KEY (owner_id) REFERENCES tenants(id) ON DELETE SET NULL,
   INDEX idx_instance_name (instance_name),
   INDEX idx_container_identifier (container_identifier),
   INDEX idx_service (service_name),
+  INDEX idx_owner (owner_id),
   INDEX idx_status (status)
 );
 
@@ -41,6 +78,219 @@ CREATE TABLE IF NOT EXISTS port_assignments (
   FOREIGN KEY (container_id) REFERENCES containers(id) ON DELETE SET NULL
 );
 
+CREATE TABLE IF NOT EXISTS backups (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  container_id INT NOT NULL,
+  container_identifier VARCHAR(150) NOT NULL,
+  file_name VARCHAR(255) UNIQUE NOT NULL,
+  file_path VARCHAR(500) NOT NULL,
+  size_bytes BIGINT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (container_id) REFERENCES containers(id) ON DELETE CASCADE,
+  INDEX idx_container_created (container_id, created_at)
+);
+
+-- Retention policy per container (container_id) or per service (service_name)
+CREATE TABLE IF NOT EXISTS retention_policies (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  container_id INT UNIQUE,
+  service_name VARCHAR(50),
+  keep_last INT,
+  keep_daily_days INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (container_id) REFERENCES containers(id) ON DELETE CASCADE,
+  FOREIGN KEY (service_name) REFERENCES services(name) ON DELETE CASCADE,
+  INDEX idx_service (service_name)
+);
+
+-- Per-container backup schedule (overrides backupSchedule in services/<name>/config.json)
+CREATE TABLE IF NOT EXISTS backup_schedules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  container_id INT UNIQUE NOT NULL,
+  cron_expression VARCHAR(100) NOT NULL,
+  enabled BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (container_id) REFERENCES containers(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS backup_runs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  container_id INT NOT NULL,
+  backup_id INT,
+  cron_expression VARCHAR(100),
+  status ENUM('success', 'failed') NOT NULL,
+  error TEXT,
+  started_at TIMESTAMP NULL,
+  finished_at TIMESTAMP NULL,
+  FOREIGN KEY (container_id) REFERENCES containers(id) ON DELETE CASCADE,
+  FOREIGN KEY (backup_id) REFERENCES backups(id) ON DELETE SET NULL,
+  INDEX idx_container_started (container_id, started_at),
+  INDEX idx_status (status)
+);
+
+-- Asynchronous operations (create, redeploy, backup, delete) with step progress
+CREATE TABLE IF NOT EXISTS jobs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  type VARCHAR(30) NOT NULL,
+  container_id INT,
+  owner_id INT,
+  -- Service of create and clone jobs, which have no container until their last step
+  service_name VARCHAR(50),
+  status ENUM('queued', 'running', 'succeeded', 'failed') DEFAULT 'queued',
+  steps JSON,
+  result JSON,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP NULL,
+  finished_at TIMESTAMP NULL,
+  FOREIGN KEY (container_id) REFERENCES containers(id) ON DELETE SET NULL,
+  FOREIGN KEY (owner_id) REFERENCES tenants(id) ON DELETE SET NULL,
+  INDEX idx_container (container_id),
+  INDEX idx_status (status)
+);
+
+-- Custom environment variables per container, rendered into .env on every redeploy
+CREATE TABLE IF NOT EXISTS container_env_vars (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  container_id INT NOT NULL,
+  var_key VARCHAR(100) NOT NULL,
+  var_value TEXT,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (container_id) REFERENCES containers(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_container_key (container_id, var_key)
+);
+
+-- Values generated by template helpers ({{secret}}, {{uuid}}, ...), AES-256-GCM encrypted
+CREATE TABLE IF NOT EXISTS container_secrets (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  container_id INT NOT NULL,
+  var_key VARCHAR(100) NOT NULL,
+  encrypted_value TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (container_id) REFERENCES containers(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_container_key (container_id, var_key)
+);
+
+-- SSL certificate of the primary domain of each container, followed by the certificate poller
+CREATE TABLE IF NOT EXISTS container_certificates (
+  container_id INT PRIMARY KEY,
+  domain VARCHAR(255) NOT NULL,
+  certificate_id VARCHAR(255),
+  status ENUM('pending', 'issued', 'failed') NOT NULL,
+  expires_at DATETIME,
+  error TEXT,
+  requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  checked_at TIMESTAMP NULL,
+  FOREIGN KEY (container_id) REFERENCES containers(id) ON DELETE CASCADE,
+  INDEX idx_status (status)
+);
+
+-- Outgoing webhooks. Subscriptions without owner or owned by an admin receive
+-- events of every container. Secrets are AES-256-GCM encrypted (HMAC signing).
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  owner_id INT,
+  url VARCHAR(2048) NOT NULL,
+  events JSON NOT NULL,
+  secret TEXT NOT NULL,
+  description VARCHAR(255),
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (owner_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  INDEX idx_owner (owner_id)
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  subscription_id INT NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  payload JSON NOT NULL,
+  status ENUM('pending', 'sending', 'delivered', 'failed') DEFAULT 'pending',
+  attempts INT DEFAULT 0,
+  response_status INT,
+  last_error TEXT,
+  next_attempt_at DATETIME,
+  delivered_at DATETIME,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  INDEX idx_subscription_created (subscription_id, created_at),
+  INDEX idx_due (status, next_attempt_at)
+);
+
+-- Last known Docker state of each container, kept current from the Docker event stream
+CREATE TABLE IF NOT EXISTS container_runtime (
+  container_id INT PRIMARY KEY,
+  docker_status VARCHAR(20),
+  health VARCHAR(20),
+  exit_code INT,
+  oom_killed BOOLEAN DEFAULT FALSE,
+  restart_count INT DEFAULT 0,
+  last_event VARCHAR(30),
+  last_event_at DATETIME,
+  started_at DATETIME,
+  finished_at DATETIME,
+  FOREIGN KEY (container_id) REFERENCES containers(id) ON DELETE CASCADE
+);
+
+-- Audit trail of mutating container API calls. No foreign keys so events
+-- outlive deleted tenants and containers; parameters have secrets redacted.
+CREATE TABLE IF NOT EXISTS audit_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  actor_id INT,
+  actor_name VARCHAR(100) NOT NULL,
+  actor_ip VARCHAR(45),
+  action VARCHAR(50) NOT NULL,
+  container_id INT,
+  container_identifier VARCHAR(150),
+  parameters JSON,
+  outcome ENUM('success', 'accepted', 'failure') NOT NULL,
+  status_code SMALLINT,
+  error TEXT,
+  job_id INT,
+  duration_ms INT,
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  INDEX idx_container_created (container_id, created_at),
+  INDEX idx_action_created (action, created_at),
+  INDEX idx_actor_created (actor_id, created_at),
+  INDEX idx_created (created_at)
+);
+
+-- Resource usage history: raw samples (kept STATS_RAW_RETENTION_HOURS) and hourly rollups.
+-- Network and block I/O columns hold bytes transferred during the sample period.
+CREATE TABLE IF NOT EXISTS container_stats (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  container_id INT NOT NULL,
+  resolution ENUM('raw', 'hour') DEFAULT 'raw',
+  sampled_at TIMESTAMP NOT NULL,
+  samples INT DEFAULT 1,
+  cpu_percent DECIMAL(8,2),
+  memory_bytes BIGINT,
+  memory_max_bytes BIGINT,
+  memory_limit_bytes BIGINT,
+  net_rx_bytes BIGINT DEFAULT 0,
+  net_tx_bytes BIGINT DEFAULT 0,
+  block_read_bytes BIGINT DEFAULT 0,
+  block_write_bytes BIGINT DEFAULT 0,
+  FOREIGN KEY (container_id) REFERENCES containers(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_sample (container_id, resolution, sampled_at)
+);
+
+-- Custom domains attached to a container (separate FastPanel site or alias)
+CREATE TABLE IF NOT EXISTS container_domains (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  container_id INT NOT NULL,
+  domain VARCHAR(253) UNIQUE NOT NULL,
+  mode ENUM('site', 'alias') DEFAULT 'site',
+  fastpanel_site_id VARCHAR(100),
+  certificate_id VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (container_id) REFERENCES containers(id) ON DELETE CASCADE,
+  INDEX idx_container (container_id)
+);
+
 -- Insert default services
 INSERT INTO services (name, description, default_port, default_cpu, default_memory) VALUES
 ('n8n', 'Workflow automation platform', 5678, '2', '1024M'),